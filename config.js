@@ -0,0 +1,246 @@
+// === GAME CONFIG ===
+// Round timings and economics. Every value has a default below, which can be
+// overridden by a config file (CONFIG_FILE, or config.json / config.yaml in the
+// working directory) and then by the environment variable named in its spec.
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+
+const CONFIG_FILES = ["config.json", "config.yaml", "config.yml"];
+
+const SCHEMA = {
+  round: {
+    submissionMinutes: { type: "number", min: 1, default: 5, env: "SUBMISSION_MINUTES" },
+    votingMinutes: { type: "number", min: 1, default: 5, env: "VOTING_MINUTES" },
+    cooldownSeconds: { type: "integer", min: 5, default: 60, env: "COOLDOWN_SECONDS" },
+    competition: { type: "enum", values: ["story", "track"], default: "story", env: "COMPETITION_MODE" },
+  },
+  payments: {
+    timeoutMinutes: { type: "number", min: 1, default: 10, env: "PAYMENT_TIMEOUT_MINUTES" },
+    minSOL: { type: "number", min: 0.000001, default: 0.001, env: "MIN_PAYMENT_SOL" },
+    maxSOL: { type: "number", min: 0.000001, default: 100, env: "MAX_PAYMENT_SOL" },
+  },
+  story: {
+    minLength: { type: "integer", min: 1, default: 20, env: "STORY_MIN_LENGTH" },
+    maxLength: { type: "integer", min: 1, max: 4000, default: 400, env: "STORY_MAX_LENGTH" },
+  },
+  track: {
+    maxSeconds: { type: "integer", min: 10, default: 600, env: "TRACK_MAX_SECONDS" },
+  },
+  economics: {
+    transFeeShare: { type: "number", min: 0, max: 0.5, default: 0.10, env: "TRANS_FEE_SHARE" },
+    roundPoolShare: { type: "number", min: 0, max: 1, default: 0.65, env: "ROUND_POOL_SHARE" },
+    prizeShare: { type: "number", min: 0, max: 1, default: 0.80, env: "PRIZE_SHARE" },
+    prizeWeights: { type: "numberList", min: 0, default: [0.40, 0.25, 0.20, 0.10, 0.05], env: "PRIZE_WEIGHTS" },
+    leftover: { type: "enum", values: ["carryover", "treasury"], default: "carryover", env: "ROUND_LEFTOVER" },
+  },
+  voting: {
+    mode: { type: "enum", values: ["equal", "amount", "multiplier", "quadratic"], default: "equal", env: "VOTING_MODE" },
+    eligibility: { type: "enum", values: ["paid", "anyone"], default: "paid", env: "VOTING_ELIGIBILITY" },
+    tieBreak: { type: "enum", values: ["earliest", "amount", "split", "random"], default: "earliest", env: "TIE_BREAK" },
+  },
+  moderation: {
+    blockLinks: { type: "boolean", default: true, env: "MODERATION_BLOCK_LINKS" },
+    blockedWords: { type: "stringList", default: [], env: "MODERATION_BLOCKED_WORDS" },
+    duplicateThreshold: { type: "number", min: 0.5, max: 1, default: 0.75, env: "MODERATION_DUPLICATE_THRESHOLD" },
+    review: { type: "boolean", default: false, env: "MODERATION_REVIEW" },
+    rejectedAction: { type: "enum", values: ["refund", "vote"], default: "refund", env: "MODERATION_REJECTED_ACTION" },
+  },
+  // Supported languages are listed in i18n.js
+  language: {
+    default: { type: "enum", values: ["en", "es"], default: "en", env: "DEFAULT_LANGUAGE" },
+    mainChannel: { type: "enum", values: ["en", "es"], default: "en", env: "MAIN_CHANNEL_LANGUAGE" },
+    submissionsChannel: { type: "enum", values: ["en", "es"], default: "en", env: "SUBMISSIONS_CHANNEL_LANGUAGE" },
+  },
+  referrals: {
+    reward: { type: "enum", values: ["fee", "suno", "off"], default: "fee", env: "REFERRAL_REWARD" },
+    feeShare: { type: "number", min: 0, max: 1, default: 0.20, env: "REFERRAL_FEE_SHARE" },
+    sunoShare: { type: "number", min: 0, max: 0.20, default: 0.02, env: "REFERRAL_SUNO_SHARE" },
+  },
+  leaderboard: {
+    size: { type: "integer", min: 3, max: 25, default: 10, env: "LEADERBOARD_SIZE" },
+    minVotes: { type: "integer", min: 1, default: 3, env: "LEADERBOARD_MIN_VOTES" },
+    weeklyPost: { type: "boolean", default: true, env: "LEADERBOARD_WEEKLY_POST" },
+  },
+  telegram: {
+    globalPerSecond: { type: "integer", min: 1, max: 30, default: 25, env: "TELEGRAM_GLOBAL_PER_SECOND" },
+    privateChatPerMinute: { type: "integer", min: 1, max: 60, default: 60, env: "TELEGRAM_PRIVATE_CHAT_PER_MINUTE" },
+    channelPerMinute: { type: "integer", min: 1, max: 60, default: 20, env: "TELEGRAM_CHANNEL_PER_MINUTE" },
+    tallyEditSeconds: { type: "integer", min: 1, max: 60, default: 5, env: "TELEGRAM_TALLY_EDIT_SECONDS" },
+  },
+  bonus: {
+    chance: { type: "integer", min: 1, default: 500, env: "TREASURY_BONUS_CHANCE" },
+  },
+  refunds: {
+    share: { type: "number", min: 0, max: 1, default: 0.90, env: "REFUND_SHARE" },
+    transferFailure: { type: "enum", values: ["sol", "suno"], default: "sol", env: "TRANSFER_FAILURE_REFUND" },
+  },
+  swap: {
+    fallback: { type: "boolean", default: true, env: "SWAP_FALLBACK" },
+    bestQuote: { type: "boolean", default: false, env: "SWAP_BEST_QUOTE" },
+    pumpSlippagePercent: { type: "number", min: 0.1, max: 50, default: 10, env: "PUMP_SLIPPAGE_PERCENT" },
+    pumpPriorityFeeSOL: { type: "number", min: 0, max: 0.01, default: 0.0001, env: "PUMP_PRIORITY_FEE_SOL" },
+    jupiterSlippageBps: { type: "integer", min: 1, max: 5000, default: 500, env: "JUPITER_SLIPPAGE_BPS" },
+    jupiterMaxPriorityLamports: { type: "integer", min: 0, max: 10000000, default: 100000, env: "JUPITER_MAX_PRIORITY_LAMPORTS" },
+  },
+};
+
+// === CONFIG FILE ===
+function findConfigFile(env) {
+  if (env.CONFIG_FILE) {
+    if (!fs.existsSync(env.CONFIG_FILE)) {
+      throw new Error(`❌ CONFIG_FILE not found: ${env.CONFIG_FILE}`);
+    }
+    return env.CONFIG_FILE;
+  }
+  return CONFIG_FILES.find(name => fs.existsSync(name)) || null;
+}
+
+function readConfigFile(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  try {
+    const parsed = /\.ya?ml$/i.test(file) ? YAML.parse(raw) : JSON.parse(raw);
+    return parsed ?? {};
+  } catch (err) {
+    throw new Error(`❌ Could not parse config file ${file}: ${err.message}`);
+  }
+}
+
+// === FIELD VALIDATION ===
+// Env values arrive as strings; file values are used as-is so that
+// `"5"` in a JSON file is reported instead of silently coerced.
+function parseEnvValue(spec, raw) {
+  if (spec.type === "numberList") {
+    return raw.split(",").map(part => (part.trim() === "" ? NaN : Number(part)));
+  }
+  if (spec.type === "stringList") return raw.split(",").map(part => part.trim()).filter(Boolean);
+  if (spec.type === "enum") return raw.trim().toLowerCase();
+  if (spec.type === "boolean") {
+    const value = raw.trim().toLowerCase();
+    if (["true", "1", "yes"].includes(value)) return true;
+    if (["false", "0", "no"].includes(value)) return false;
+    return raw;
+  }
+  return raw.trim() === "" ? NaN : Number(raw);
+}
+
+function checkNumber(spec, value) {
+  if (typeof value !== "number" || !Number.isFinite(value)) return "must be a number";
+  if (spec.type === "integer" && !Number.isInteger(value)) return "must be a whole number";
+  if (spec.min !== undefined && value < spec.min) return `must be at least ${spec.min}`;
+  if (spec.max !== undefined && value > spec.max) return `must be at most ${spec.max}`;
+  return null;
+}
+
+function checkField(spec, value) {
+  if (spec.type === "enum") {
+    return spec.values.includes(value) ? null : `must be one of: ${spec.values.join(", ")}`;
+  }
+  if (spec.type === "boolean") {
+    return typeof value === "boolean" ? null : "must be true or false";
+  }
+  if (spec.type === "numberList") {
+    if (!Array.isArray(value) || value.length === 0) return "must be a non-empty list of numbers";
+    for (const item of value) {
+      const problem = checkNumber(spec, item);
+      if (problem) return `every entry ${problem}`;
+    }
+    return null;
+  }
+  if (spec.type === "stringList") {
+    if (!Array.isArray(value) || value.some(item => typeof item !== "string")) return "must be a list of strings";
+    return null;
+  }
+  return checkNumber(spec, value);
+}
+
+// Rules that span several fields
+function checkCombined(cfg) {
+  const problems = [];
+  const weightTotal = cfg.economics.prizeWeights.reduce((sum, w) => sum + w, 0);
+  if (weightTotal > 1 + 1e-9) {
+    problems.push(`economics.prizeWeights add up to ${+weightTotal.toFixed(6)} - they must not exceed 1`);
+  }
+  if (cfg.story.minLength > cfg.story.maxLength) {
+    problems.push(`story.minLength (${cfg.story.minLength}) is larger than story.maxLength (${cfg.story.maxLength})`);
+  }
+  if (cfg.payments.minSOL > cfg.payments.maxSOL) {
+    problems.push(`payments.minSOL (${cfg.payments.minSOL}) is larger than payments.maxSOL (${cfg.payments.maxSOL})`);
+  }
+  // The trans fee has already left the treasury by the time a refund is sent
+  if (cfg.refunds.share > 1 - cfg.economics.transFeeShare + 1e-9) {
+    problems.push(
+      `refunds.share (${cfg.refunds.share}) exceeds what is left after the trans fee ` +
+      `(${+(1 - cfg.economics.transFeeShare).toFixed(6)})`
+    );
+  }
+  return problems;
+}
+
+function deepFreeze(obj) {
+  for (const value of Object.values(obj)) {
+    if (value && typeof value === "object") deepFreeze(value);
+  }
+  return Object.freeze(obj);
+}
+
+// === LOAD CONFIG ===
+// Returns { config, source }. Throws one Error listing every problem found.
+export function loadConfig({ env = process.env, file } = {}) {
+  const configFile = file === undefined ? findConfigFile(env) : file;
+  const fileValues = configFile ? readConfigFile(configFile) : {};
+  const source = configFile ? path.basename(configFile) : "defaults";
+  const problems = [];
+  const cfg = {};
+
+  if (typeof fileValues !== "object" || Array.isArray(fileValues)) {
+    throw new Error(`❌ Config file ${configFile} must contain an object at the top level`);
+  }
+
+  for (const key of Object.keys(fileValues)) {
+    if (!SCHEMA[key]) problems.push(`${key}: unknown section (expected one of: ${Object.keys(SCHEMA).join(", ")})`);
+  }
+
+  for (const [section, fields] of Object.entries(SCHEMA)) {
+    const fileSection = fileValues[section] ?? {};
+    cfg[section] = {};
+
+    if (typeof fileSection !== "object" || Array.isArray(fileSection)) {
+      problems.push(`${section}: must be an object`);
+      continue;
+    }
+    for (const key of Object.keys(fileSection)) {
+      if (!fields[key]) problems.push(`${section}.${key}: unknown setting`);
+    }
+
+    for (const [key, spec] of Object.entries(fields)) {
+      let value = spec.default;
+      let from = "default";
+      if (fileSection[key] !== undefined) {
+        value = fileSection[key];
+        from = source;
+      }
+      if (env[spec.env] !== undefined && env[spec.env] !== "") {
+        value = parseEnvValue(spec, env[spec.env]);
+        from = `env ${spec.env}`;
+      }
+
+      const problem = checkField(spec, value);
+      if (problem) {
+        const shown = from.startsWith("env") ? JSON.stringify(env[spec.env]) : JSON.stringify(value);
+        problems.push(`${section}.${key} ${problem} (got ${shown} from ${from})`);
+      }
+      cfg[section][key] = value;
+    }
+  }
+
+  if (problems.length === 0) problems.push(...checkCombined(cfg));
+
+  if (problems.length > 0) {
+    throw new Error(`❌ Invalid config (${source}):\n  - ${problems.join("\n  - ")}`);
+  }
+
+  return { config: deepFreeze(cfg), source };
+}
+
+export const { config, source: configSource } = loadConfig();
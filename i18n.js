@@ -0,0 +1,57 @@
+// i18n.js — message catalog for player and channel text
+// Templates live in locales/<language>.json, grouped by where they are used.
+// Placeholders are written {name}; a template given as { "one", "other" } is
+// picked by the `count` parameter. Missing translations fall back to English.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const LANGUAGES = {
+  en: "English",
+  es: "Español"
+};
+export const DEFAULT_LANGUAGE = "en";
+
+const LOCALES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "locales");
+
+const catalogs = Object.fromEntries(
+  Object.keys(LANGUAGES).map(lang => [lang, JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${lang}.json`), "utf8"))])
+);
+
+function lookup(catalog, key) {
+  return key.split(".").reduce((node, part) => node?.[part], catalog);
+}
+
+export function t(lang, key, params = {}) {
+  let template = lookup(catalogs[lang] || {}, key) ?? lookup(catalogs[DEFAULT_LANGUAGE], key);
+  if (template === undefined) {
+    console.warn(`⚠️ Missing message: ${key}`);
+    return key;
+  }
+  if (typeof template === "object") template = params.count === 1 ? template.one : template.other;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+}
+
+// Supported language for a Telegram language_code such as "es-419", or null
+export function matchLanguage(code) {
+  const base = String(code || "").toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES[base] ? base : null;
+}
+
+// Keys present in English but missing from `lang`, reported at startup
+export function missingMessages(lang) {
+  const missing = [];
+  const walk = (node, prefix) => {
+    for (const [key, value] of Object.entries(node)) {
+      const full = prefix ? `${prefix}.${key}` : key;
+      const isTemplate = typeof value === "string" || ("one" in value && "other" in value);
+      if (isTemplate) {
+        if (lookup(catalogs[lang], full) === undefined) missing.push(full);
+      } else {
+        walk(value, full);
+      }
+    }
+  };
+  walk(catalogs[DEFAULT_LANGUAGE], "");
+  return missing;
+}
@@ -1,6 +1,7 @@
 // === IMPORTS ===
 import TelegramBot from "node-telegram-bot-api";
 import fs from "fs";
+import { AsyncLocalStorage } from "async_hooks";
 import express from "express";
 import cors from "cors";
 import rateLimit from "express-rate-limit";
@@ -13,6 +14,7 @@ import {
   Transaction,
   ComputeBudgetProgram,
   VersionedTransaction,
+  SendTransactionError,
 } from "@solana/web3.js";
 import {
   getAssociatedTokenAddress,
@@ -21,12 +23,387 @@ import {
   TOKEN_PROGRAM_ID,
 } from "@solana/spl-token";
 import bs58 from "bs58";
+import {
+  openStore,
+  closeStore,
+  withTransaction,
+  migrateLegacyFiles,
+  getMeta,
+  setMeta,
+  createRound,
+  updateRound,
+  getRound,
+  listRounds,
+  getRoundArchive,
+  markRoundStep,
+  hasRoundStep,
+  carryOverVoters,
+  insertPayment,
+  getPayment,
+  updatePayment,
+  findOpenPayment,
+  listOpenPayments,
+  listUnresolvedBuys,
+  expirePayments,
+  closeRoundPayments,
+  claimSignature,
+  releaseSignature,
+  insertEntry,
+  updateEntry,
+  listEntries,
+  getEntry,
+  getEntryById,
+  listRecentStories,
+  getUser,
+  rememberUser,
+  setUserLanguage,
+  getPlayerStats,
+  recordPlayerPayment,
+  recordStoryRejection,
+  recordPlayerPrize,
+  recordPlayerVoterReward,
+  setReferrer,
+  confirmReferral,
+  hasPaidEntry,
+  insertReferralReward,
+  getReferralSummary,
+  getLeaderboard,
+  LEADERBOARD_CATEGORIES,
+  getPaidAmount,
+  getVote,
+  recordVote,
+  insertPayout,
+  savePayout,
+  getPayout,
+  getPayoutByKey,
+  listPayouts,
+  countPayouts,
+  insertOutgoingMessage,
+  saveOutgoingMessage,
+  deleteOutgoingMessage,
+  listOutgoingMessages,
+  deleteFailedMessages,
+  banUser,
+  unbanUser,
+  isBanned,
+  logAdminAction,
+  startTreasuryOp,
+  finishTreasuryOp,
+  interruptTreasuryOps,
+  listTreasuryOps,
+} from "./store.js";
+import { config, configSource } from "./config.js";
+import { createSandbox } from "./sandbox.js";
+import { checkStory } from "./moderation.js";
+import { t as translate, LANGUAGES, matchLanguage, missingMessages } from "./i18n.js";
+import {
+  getTierTerms,
+  getTreasuryBonusPercentage,
+  calculateTreasuryBonus as calculateBonusFor,
+  getVoteWeight,
+  createBonusSeed,
+  hashBonusSeed,
+  drawTreasuryBonus,
+  rankStories,
+  tieDrawKey,
+  computeRoundPayouts,
+} from "./prizes.js";
+
+// === DRY RUN ===
+// DRY_RUN=1 swaps Solana, the swap providers and Telegram for the in-memory
+// stand-ins in sandbox.js, so whole rounds can be played without real money.
+const DRY_RUN = ["1", "true", "yes"].includes((process.env.DRY_RUN || "").toLowerCase());
+const sandbox = DRY_RUN
+  ? createSandbox({ token: process.env.BOT_TOKEN || "sandbox", failRate: parseFloat(process.env.SANDBOX_FAIL_RATE || "0") })
+  : null;
+
+if (DRY_RUN) {
+  console.log("🧪 DRY RUN — no real transactions or Telegram messages will be sent");
+}
 
 // === TELEGRAM CONFIG ===
-const token = process.env.BOT_TOKEN;
+const token = process.env.BOT_TOKEN || (DRY_RUN ? "sandbox" : null);
 if (!token) throw new Error("BOT_TOKEN not set");
 
-const bot = new TelegramBot(token, { polling: false });
+const bot = sandbox ? sandbox.bot : new TelegramBot(token, { polling: false });
+
+// The bot's @username without the "@", for mentions and t.me links
+const BOT_USERNAME = (process.env.BOT_USERNAME || "sunobattles_bot").replace(/^@/, "");
+
+// Telegram user IDs allowed to run admin commands (comma-separated)
+const ADMIN_IDS = (process.env.ADMIN_USER_IDS || "")
+  .split(",")
+  .map(id => id.trim())
+  .filter(Boolean);
+
+function isAdmin(userId) {
+  return ADMIN_IDS.includes(String(userId));
+}
+
+// === TELEGRAM SEND QUEUE ===
+// Everything the bot posts goes through this queue rather than straight to
+// `bot`. Messages are stored before sending, so a restart picks up whatever
+// was still undelivered. Sends are paced per chat and globally, and a 429
+// holds back that chat for the `retry_after` Telegram asks for.
+const SEND_PRIORITY = { high: 0, normal: 1, low: 2 }; // high: round results, low: promo posts
+const SEND_GLOBAL_PER_SECOND = config.telegram.globalPerSecond;
+const SEND_PRIVATE_INTERVAL = 60 * 1000 / config.telegram.privateChatPerMinute;
+const SEND_CHANNEL_INTERVAL = 60 * 1000 / config.telegram.channelPerMinute;
+const SEND_MAX_ATTEMPTS = 6;             // High priority messages are retried until they go out
+const SEND_RETRY_BASE = 5 * 1000;        // Network/server errors: 5s, 10s, 20s...
+const SEND_RETRY_MAX = 5 * 60 * 1000;    // ...capped at 5 minutes
+const SEND_FAILED_KEEP = 7 * 24 * 60 * 60 * 1000; // Dropped messages listed by /sendfailures
+
+const sendQueue = [];                    // Pending messages ordered by priority, then age
+const sendWaiters = new Map();           // Message id → resolves the caller's promise
+const chatReadyAt = new Map();           // Chat id → earliest time of its next send
+const recentSends = [];                  // Send times within the last second
+const channelAliases = new Map();        // Numeric id of our channels → "@name"
+let sendTimer = null;
+let sendTimerAt = 0;
+let sendQueueDraining = false;
+let sendingMessage = null;               // Message whose API call is in flight
+
+// Follow-ups for a delivered message, keyed by the first part of its tag.
+// They run after restarts too, when nobody is awaiting the message any more.
+const SENT_HANDLERS = {
+  // Kept so the tally can be refreshed when a vote moves away from this story
+  story: (entryId, sent) => updateEntry(Number(entryId), { messageId: sent.message_id })
+};
+
+// Resolves with Telegram's result once delivered, or null if it was dropped.
+// Never rejects: delivery problems are retried and logged here.
+function queueTelegram(method, chatId, args, { priority = "normal", tag = null } = {}) {
+  if (EDIT_METHODS.has(method)) {
+    const queued = findQueuedEdit(String(chatId), args.at(-1).message_id, method);
+    if (queued) return replaceQueuedEdit(queued, args, SEND_PRIORITY[priority]);
+  }
+
+  const message = {
+    method,
+    chatId: String(chatId),
+    args,
+    priority: SEND_PRIORITY[priority],
+    tag,
+    status: "pending",
+    attempts: 0,
+    notBefore: 0,
+    lastError: null,
+    createdAt: Date.now()
+  };
+  message.id = insertOutgoingMessage(message);
+  enqueueMessage(message);
+  const delivered = new Promise(resolve => sendWaiters.set(message.id, resolve));
+  scheduleSendQueue(0);
+  return delivered;
+}
+
+// Same call shapes as the bot API methods, plus queue options last
+const telegram = {
+  sendMessage: (chatId, text, options = {}, queue) => queueTelegram("sendMessage", chatId, [chatId, text, options], queue),
+  sendAudio: (chatId, audio, options = {}, queue) => queueTelegram("sendAudio", chatId, [chatId, audio, options], queue),
+  editMessageText: (text, options, queue) => queueTelegram("editMessageText", options.chat_id, [text, options], queue),
+  editMessageCaption: (caption, options, queue) => queueTelegram("editMessageCaption", options.chat_id, [caption, options], queue)
+};
+
+// Edits of one message are collapsed: a newer edit overwrites one still waiting
+// in the queue, so a busy channel never works through a backlog of stale texts
+const EDIT_METHODS = new Set(["editMessageText", "editMessageCaption"]);
+
+function findQueuedEdit(chatId, messageId, method = null) {
+  const chatKey = sendChatKey(chatId);
+  return sendQueue.find(m =>
+    m !== sendingMessage &&
+    EDIT_METHODS.has(m.method) &&
+    (!method || m.method === method) &&
+    sendChatKey(m.chatId) === chatKey &&
+    m.args.at(-1).message_id === messageId
+  );
+}
+
+function replaceQueuedEdit(message, args, priority) {
+  message.args = args;
+  if (priority < message.priority) {
+    sendQueue.splice(sendQueue.indexOf(message), 1);
+    message.priority = priority;
+    enqueueMessage(message);
+  }
+  saveOutgoingMessage(message);
+
+  const earlier = sendWaiters.get(message.id);
+  const delivered = new Promise(resolve => sendWaiters.set(message.id, sent => {
+    earlier?.(sent);
+    resolve(sent);
+  }));
+  scheduleSendQueue(0);
+  return delivered;
+}
+
+function enqueueMessage(message) {
+  const index = sendQueue.findIndex(m => m.priority > message.priority || (m.priority === message.priority && m.id > message.id));
+  sendQueue.splice(index === -1 ? sendQueue.length : index, 0, message);
+}
+
+// User chats have numeric ids; channels and groups are @names or negative ids
+function chatInterval(chatId) {
+  return /^\d+$/.test(chatId) ? SEND_PRIVATE_INTERVAL : SEND_CHANNEL_INTERVAL;
+}
+
+// Our channels are addressed both as @name (posts) and by numeric id (edits from
+// vote buttons). Pacing and 429 holds use the @name, so each channel is one bucket.
+function learnChannelId(chat) {
+  if (chat?.username && [CHANNEL, MAIN_CHANNEL].includes(chat.username)) {
+    channelAliases.set(String(chat.id), `@${chat.username}`);
+  }
+}
+
+function sendChatKey(chatId) {
+  return channelAliases.get(chatId) || chatId;
+}
+
+// First message that may go out now. A chat whose head message has to wait
+// holds back the rest of that chat, so each chat keeps its order.
+function nextSendable(now) {
+  const held = new Set();
+  let wakeAt = Infinity;
+  for (const message of sendQueue) {
+    const chatKey = sendChatKey(message.chatId);
+    if (held.has(chatKey)) continue;
+    const readyAt = Math.max(message.notBefore, chatReadyAt.get(chatKey) || 0);
+    if (readyAt <= now) return { message };
+    held.add(chatKey);
+    wakeAt = Math.min(wakeAt, readyAt);
+  }
+  return { message: null, wakeAt };
+}
+
+function scheduleSendQueue(delay) {
+  const at = Date.now() + Math.max(0, delay);
+  if (sendTimer && sendTimerAt <= at) return;
+  clearTimeout(sendTimer);
+  sendTimerAt = at;
+  sendTimer = setTimeout(() => {
+    sendTimer = null;
+    drainSendQueue();
+  }, Math.max(0, delay));
+}
+
+async function drainSendQueue() {
+  if (sendQueueDraining) return;
+  sendQueueDraining = true;
+
+  try {
+    while (sendQueue.length) {
+      const now = Date.now();
+      while (recentSends.length && recentSends[0] <= now - 1000) recentSends.shift();
+      if (recentSends.length >= SEND_GLOBAL_PER_SECOND) {
+        scheduleSendQueue(recentSends[0] + 1000 - now);
+        return;
+      }
+
+      const { message, wakeAt } = nextSendable(now);
+      if (!message) {
+        scheduleSendQueue(wakeAt - now);
+        return;
+      }
+
+      recentSends.push(now);
+      const chatKey = sendChatKey(message.chatId);
+      chatReadyAt.set(chatKey, now + chatInterval(chatKey));
+      sendingMessage = message;
+      await deliverMessage(message);
+      sendingMessage = null;
+    }
+  } finally {
+    sendingMessage = null;
+    sendQueueDraining = false;
+  }
+}
+
+async function deliverMessage(message) {
+  let sent;
+  try {
+    // The bot API fills in the options it is given, so it gets a copy
+    sent = await bot[message.method](...structuredClone(message.args));
+  } catch (err) {
+    const body = err.response?.body;
+    const code = body?.error_code;
+    const description = body?.description || err.message;
+
+    if (code === 429) {
+      // Not the message's fault, so it does not count as an attempt
+      const retryAfter = body.parameters?.retry_after || 1;
+      chatReadyAt.set(sendChatKey(message.chatId), Date.now() + retryAfter * 1000);
+      console.warn(`⏳ Telegram flood limit in ${message.chatId} - retrying in ${retryAfter}s`);
+      return;
+    }
+    if (code === 400 && /message is not modified/i.test(description)) {
+      finishMessage(message, true);
+      return;
+    }
+
+    message.attempts++;
+    message.lastError = description;
+    const permanent = code >= 400 && code < 500; // Blocked by the user, chat not found, bad request...
+    if (permanent || (message.attempts >= SEND_MAX_ATTEMPTS && message.priority !== SEND_PRIORITY.high)) {
+      dropMessage(message);
+    } else {
+      message.notBefore = Date.now() + Math.min(SEND_RETRY_BASE * 2 ** (message.attempts - 1), SEND_RETRY_MAX);
+      saveOutgoingMessage(message);
+      console.warn(`⚠️ Telegram ${message.method} to ${message.chatId} failed [attempt ${message.attempts}]: ${description}`);
+    }
+    return;
+  }
+
+  finishMessage(message, sent);
+}
+
+function finishMessage(message, sent) {
+  sendQueue.splice(sendQueue.indexOf(message), 1);
+  deleteOutgoingMessage(message.id);
+  learnChannelId(sent?.chat);
+
+  if (message.tag) {
+    const [kind, ...rest] = message.tag.split(":");
+    try {
+      SENT_HANDLERS[kind]?.(rest.join(":"), sent);
+    } catch (err) {
+      console.error(`⚠️ Sent handler ${message.tag} failed:`, err.message);
+    }
+  }
+
+  sendWaiters.get(message.id)?.(sent);
+  sendWaiters.delete(message.id);
+}
+
+function dropMessage(message) {
+  sendQueue.splice(sendQueue.indexOf(message), 1);
+  message.status = "failed";
+  saveOutgoingMessage(message);
+  console.error(`❌ Telegram ${message.method} to ${message.chatId} dropped (message #${message.id}): ${message.lastError}`);
+
+  sendWaiters.get(message.id)?.(null);
+  sendWaiters.delete(message.id);
+}
+
+// Messages still queued when the bot last stopped
+function loadSendQueue() {
+  const pending = listOutgoingMessages("pending");
+  for (const message of pending) {
+    if (!sendQueue.some(m => m.id === message.id)) enqueueMessage(message);
+  }
+  if (pending.length) console.log(`📬 ${pending.length} undelivered Telegram message(s) restored`);
+  scheduleSendQueue(0);
+}
+
+function pruneFailedMessages() {
+  const removed = deleteFailedMessages(Date.now() - SEND_FAILED_KEEP);
+  if (removed) console.log(`🧹 Pruned ${removed} dropped Telegram message(s)`);
+}
+
+setInterval(() => {
+  pruneFailedMessages();
+}, 6 * 60 * 60 * 1000);
 
 // === Graceful shutdown ===
 let isShuttingDown = false;
@@ -36,6 +413,7 @@ async function gracefulShutdown(signal) {
   isShuttingDown = true;
   console.log(`🧹 Graceful shutdown (${signal})...`);
   saveState();
+  closeStore();
   console.log("✅ Shutdown complete");
   process.exit(0);
 }
@@ -49,15 +427,115 @@ process.on("unhandledRejection", (reason, promise) => {
 const CHANNEL = "sunolabs_submissions";
 const MAIN_CHANNEL = "sunolabs";
 
-// === STORY CONFIGURATION ===
-const MAX_STORY_LENGTH = 400; // Character limit for stories (roughly 3 sentences)
+// === GAME CONFIGURATION ===
+// Timings and economics come from config.js (config file + env overrides)
+const SUBMISSION_DURATION = config.round.submissionMinutes * 60 * 1000;
+const VOTING_DURATION = config.round.votingMinutes * 60 * 1000;
+const COOLDOWN_DURATION = config.round.cooldownSeconds * 1000;
+const MIN_STORY_LENGTH = config.story.minLength;
+const MAX_STORY_LENGTH = config.story.maxLength; // Character limit for stories (roughly 3 sentences)
+const TRACK_MODE = config.round.competition === "track"; // Players compete with audio tracks instead of stories
+const MAX_TRACK_SECONDS = config.track.maxSeconds;
+const MAX_TRACK_TITLE = 100;
+const TRANS_FEE_SHARE = config.economics.transFeeShare;   // Sent to the trans fee wallet
+const ROUND_POOL_SHARE = config.economics.roundPoolShare; // Rest goes to the permanent treasury
+const PRIZE_SHARE = config.economics.prizeShare;          // Rest goes to voters who picked the winner
+const PRIZE_WEIGHTS = config.economics.prizeWeights;      // Split of the prize pool by place
+const ROUND_LEFTOVER = config.economics.leftover;         // Where unpaid pool goes: "carryover" or "treasury"
+const VOTING_MODE = config.voting.mode;                   // equal, amount, multiplier or quadratic
+const VOTING_ELIGIBILITY = config.voting.eligibility;     // "paid": only players who paid into the round vote
+const TIE_BREAK = config.voting.tieBreak;                 // earliest, amount, split or random (see prizes.js)
+
+// === LANGUAGES ===
+// Player-facing text lives in locales/*.json (see i18n.js). DMs use the player's
+// language, channel posts the language configured for that channel.
+const MAIN_LANG = config.language.mainChannel;
+const CHANNEL_LANG = config.language.submissionsChannel;
+
+// Every template can use {game}, so the name stays the same everywhere
+function t(lang, key, params = {}) {
+  return translate(lang, key, { game: translate(lang, `game.${config.round.competition}`), ...params });
+}
+
+// Chosen with /language, else the Telegram app language, else the default
+function userLanguage(userId) {
+  const user = getUser(userId);
+  return user?.language || matchLanguage(user?.languageCode) || config.language.default;
+}
+
+// Formats a share like 0.65 as "65%"
+function formatShare(share) {
+  return `${+(share * 100).toFixed(2)}%`;
+}
+
+// Formats a configured duration like 300000 as "5 minutes"
+function formatDuration(ms, lang) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds % 60 !== 0 || seconds < 60) return t(lang, "duration.seconds", { count: seconds });
+  return t(lang, "duration.minutes", { count: seconds / 60 });
+}
+
+// Vote tally for a story: the count, plus the weighted score outside equal mode
+function formatVotes(entry, lang) {
+  if (VOTING_MODE === "equal") return t(lang, "votes.count", { votes: entry.votes });
+  return t(lang, "votes.score", { score: +entry.score.toFixed(3), count: entry.votes });
+}
+
+function formatVotesShort(entry) {
+  if (VOTING_MODE === "equal") return `${entry.votes}🔥`;
+  return `${+entry.score.toFixed(3)}⚖️ ${entry.votes}🔥`;
+}
+
+// Competing entries keep the "story" choice in both modes; in track mode
+// `story` holds the track title and `track` the Telegram audio file_id.
+function entryNoun(lang, count = 1) {
+  return t(lang, `noun.${config.round.competition}`, { count });
+}
+
+function tierName(lang, entry) {
+  return t(lang, `tiers.${entry.tier}`);
+}
+
+// Formats a track length like 185 as "3:05"
+function formatTrackDuration(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+// Story messages sit in the submissions channel, so they use its language
+function storyMessageText(entry) {
+  if (entry.track) {
+    const length = entry.trackDuration ? ` (${formatTrackDuration(entry.trackDuration)})` : "";
+    return t(CHANNEL_LANG, "voting.post_track", { badge: entry.tierBadge, user: entry.user, title: entry.story, length, votes: formatVotes(entry, CHANNEL_LANG) });
+  }
+  return t(CHANNEL_LANG, "voting.post_story", { badge: entry.tierBadge, user: entry.user, story: entry.story, votes: formatVotes(entry, CHANNEL_LANG) });
+}
+
+function storyMessageMarkup(entry) {
+  const text = t(CHANNEL_LANG, entry.track ? "voting.button_track" : "voting.button_story");
+  return { inline_keyboard: [[{ text, callback_data: `vote_${entry.userId}` }]] };
+}
+
+// Tracks are posted as audio with the entry text as caption, stories as text.
+// The entry's messageId is saved once Telegram has the post.
+function postStoryMessage(entry) {
+  const options = { reply_markup: storyMessageMarkup(entry) };
+  const queue = { tag: `story:${entry.id}` };
+  if (entry.track) return telegram.sendAudio(`@${CHANNEL}`, entry.track, { ...options, caption: storyMessageText(entry) }, queue);
+  return telegram.sendMessage(`@${CHANNEL}`, storyMessageText(entry), options, queue);
+}
+
+function refreshStoryMessage(entry, chatId, messageId, queue) {
+  const options = { chat_id: chatId, message_id: messageId, reply_markup: storyMessageMarkup(entry) };
+  if (entry.track) return telegram.editMessageCaption(storyMessageText(entry), options, queue);
+  return telegram.editMessageText(storyMessageText(entry), options, queue);
+}
 
 // === SOLANA CONFIG ===
 const RPC_URL = process.env.SOLANA_RPC_URL;
-if (!RPC_URL) {
+if (!RPC_URL && !DRY_RUN) {
   throw new Error("❌ SOLANA_RPC_URL environment variable required!");
 }
-const connection = new Connection(RPC_URL, "confirmed");
+const connection = sandbox ? sandbox.connection : new Connection(RPC_URL, "confirmed");
 
 // === WALLET ADDRESSES ===
 const TREASURY = new PublicKey("98tf4zU5WhLmsCt1D4HQH5Ej9C5aFwCz8KQwykmKvDDQ");
@@ -67,55 +545,43 @@ const TOKEN_MINT = new PublicKey("4vTeHaoJGvrKduJrxVmfgkjzDYPzD8BJJDv5Afempump")
 const TREASURY_PRIVATE_KEY = process.env.BOT_PRIVATE_KEY
   ? Uint8Array.from(JSON.parse(process.env.BOT_PRIVATE_KEY))
   : null;
-if (!TREASURY_PRIVATE_KEY) throw new Error("❌ BOT_PRIVATE_KEY missing!");
-const TREASURY_KEYPAIR = Keypair.fromSecretKey(TREASURY_PRIVATE_KEY);
+if (!TREASURY_PRIVATE_KEY && !DRY_RUN) throw new Error("❌ BOT_PRIVATE_KEY missing!");
+const TREASURY_KEYPAIR = TREASURY_PRIVATE_KEY
+  ? Keypair.fromSecretKey(TREASURY_PRIVATE_KEY)
+  : Keypair.generate(); // Dry run only — a throwaway wallet
+
+// The sandbox treasury starts with SOL to pay for buys, fees and refunds
+if (sandbox) {
+  sandbox.ledger.airdrop(TREASURY_KEYPAIR.publicKey, Math.round(parseFloat(process.env.SANDBOX_TREASURY_SOL || "100") * 1e9));
+}
 
 // === STATE ===
 let treasurySUNO = 0;  // Current round prize pool (resets each round)
 let actualTreasuryBalance = 0;  // REAL treasury balance (grows perpetually)
 let transFeeCollected = 0;
-let pendingPayments = [];
-let participants = [];
-let voters = [];
+let currentRoundId = null;  // Entries, votes and payments are stored per round
 let phase = "submission";
 let cycleStartTime = null;
 let nextPhaseTime = null;
 
+// === REFUND CONFIGURATION ===
+const REFUND_SHARE = config.refunds.share; // Share of paid SOL returned if the SUNO buy fails
+const TRANSFER_FAILURE_REFUND = config.refunds.transferFailure; // "sol" or "suno"
+
 // === PAYMENT TIMEOUT CONFIGURATION ===
-const PAYMENT_TIMEOUT = 10 * 60 * 1000; // 10 minutes timeout for payments
+const PAYMENT_TIMEOUT = config.payments.timeoutMinutes * 60 * 1000;
 
 // === CLEAN UP EXPIRED PENDING PAYMENTS ===
 function cleanupExpiredPayments() {
-  const now = Date.now();
-  const expiredPayments = pendingPayments.filter(p => {
-    const createdTime = p.createdAt || cycleStartTime || now;
-    return (now - createdTime) > PAYMENT_TIMEOUT && !p.paid;  // Don't expire if already paid
-  });
+  const expiredPayments = expirePayments(Date.now() - PAYMENT_TIMEOUT);
 
   if (expiredPayments.length > 0) {
     console.log(`🧹 Cleaning up ${expiredPayments.length} expired pending payments`);
     
-    // Remove expired payments
-    pendingPayments = pendingPayments.filter(p => {
-      const createdTime = p.createdAt || cycleStartTime || now;
-      return (now - createdTime) <= PAYMENT_TIMEOUT || p.paid;  // Keep if paid even if expired
-    });
-    
     // Notify users their payment expired (only if not paid)
-    expiredPayments.forEach(async (payment) => {
-      try {
-        await bot.sendMessage(
-          payment.userId,
-          `⏱️ Payment Timeout\n\n` +
-          `Your payment session expired. You can submit a new story and try again!\n\n` +
-          `Type /start to begin a new submission.`
-        );
-      } catch (err) {
-        console.log(`⚠️ Could not notify user ${payment.userId} about expiration`);
-      }
-    });
-    
-    saveState();
+    for (const payment of expiredPayments) {
+      telegram.sendMessage(payment.userId, t(userLanguage(payment.userId), "payment.expired"));
+    }
   }
 }
 
@@ -125,27 +591,125 @@ setInterval(() => {
 }, 2 * 60 * 1000);
 
 // === TREASURY PRIZE SYSTEM ===
-const TREASURY_BONUS_CHANCE = 500; // 1 in 500 chance
+const TREASURY_BONUS_CHANCE = config.bonus.chance; // 1 in N chance
+
+// Bonus percentage and draw maths live in prizes.js (shared with simulate.js)
+
+// === PROVABLY FAIR BONUS DRAW ===
+// Each round commits to a secret seed and a future slot before anyone joins;
+// the payout reveals the seed and the slot's blockhash (see /verify).
+const SLOT_TIME_MS = 400;
+
+// Blockhash of the first block produced at or after `slot` (skipped slots have
+// no block), or null while that slot is not finalized yet
+const blockhashSource = sandbox ? sandbox.blockhashSource : {
+  getSlot: () => connection.getSlot("finalized"),
+  async getBlockhash(slot) {
+    const finalized = await connection.getSlot("finalized");
+    if (finalized < slot) return null;
+    const [blockSlot] = await connection.getBlocks(slot, Math.min(slot + 100, finalized), "finalized");
+    if (blockSlot === undefined) return null;
+    const block = await connection.getBlock(blockSlot, {
+      commitment: "finalized",
+      maxSupportedTransactionVersion: 0,
+      transactionDetails: "none",
+      rewards: false
+    });
+    return block ? { slot: blockSlot, blockhash: block.blockhash } : null;
+  }
+};
+
+// Fixes the round's seed once; its hash is published when the round starts
+function commitBonusSeed(roundId) {
+  const round = getRound(roundId);
+  if (round.bonusSeedHash) return round;
+
+  const seed = createBonusSeed();
+  const commitment = {
+    bonusSeed: seed,
+    bonusSeedHash: hashBonusSeed(seed),
+    bonusChance: TREASURY_BONUS_CHANCE
+  };
+  updateRound(roundId, commitment);
+  console.log(`🔐 Round #${roundId} bonus seed committed: ${commitment.bonusSeedHash}`);
+  return { ...round, ...commitment };
+}
+
+// Fixes the draw slot once, when voting starts: the slot expected at the real
+// voting deadline `drawAt`, so nobody (the operator holding the seed included)
+// can know its blockhash while votes are still open
+async function commitBonusSlot(roundId, drawAt) {
+  const round = commitBonusSeed(roundId);
+  if (round.bonusSlot != null) return round;
+
+  const currentSlot = await blockhashSource.getSlot();
+  const bonusSlot = currentSlot + Math.ceil(Math.max(drawAt - Date.now(), 0) / SLOT_TIME_MS);
+  updateRound(roundId, { bonusSlot });
+  console.log(`🧱 Round #${roundId} bonus draw slot: ${bonusSlot}`);
+  return { ...round, bonusSlot };
+}
 
-// Dynamic treasury bonus percentage based on ACTUAL treasury size
-function getTreasuryBonusPercentage() {
-  if (actualTreasuryBalance < 100000) return 0.20;      // 20% for small treasury (< 100k)
-  if (actualTreasuryBalance < 500000) return 0.15;      // 15% for medium treasury (100k-500k)
-  if (actualTreasuryBalance < 1000000) return 0.10;     // 10% for large treasury (500k-1M)
-  if (actualTreasuryBalance < 5000000) return 0.05;     // 5% for very large treasury (1M-5M)
-  return 0.02;                                          // 2% for mega treasury (5M+)
+// Random tie-breaks order tied stories by sha256(seed:blockhash:userId), so the
+// order of every tie can be recomputed from the same inputs as the draw
+function recomputeTieOrder(round) {
+  const randomKey = `${round.bonusSeed}:${round.bonusBlockhash}`;
+  const stories = getRoundArchive(round.id).stories.filter(e => e.paid);
+  return rankStories(stories, { tieBreak: "random", randomKey }).ties.map(({ start, entries }) => ({
+    place: start + 1,
+    order: entries.map(e => ({ user: e.user, userId: e.userId, key: tieDrawKey(randomKey, e), place: e.place ?? null }))
+  }));
 }
 
-// === CHECK FOR TREASURY BONUS WIN ===
-function checkTreasuryBonus() {
-  const roll = Math.floor(Math.random() * TREASURY_BONUS_CHANCE) + 1;
-  return roll === 1; // 1 in 500 chance
+// Recomputes a round's draw from its published inputs. The seed is only
+// revealed once the draw has happened.
+async function verifyBonusDraw(roundId) {
+  const round = getRound(roundId);
+  if (!round) return null;
+
+  const result = {
+    roundId,
+    seedHash: round.bonusSeedHash,
+    slot: round.bonusSlot,
+    chance: round.bonusChance,
+    drawn: round.bonusRoll != null
+  };
+  if (!result.drawn) return result;
+
+  const recomputed = drawTreasuryBonus(round.bonusSeed, round.bonusBlockhash, round.bonusChance);
+  let chainBlockhash = null;
+  try {
+    chainBlockhash = (await blockhashSource.getBlockhash(round.bonusSlot))?.blockhash ?? null;
+  } catch (err) {
+    console.error(`⚠️ Could not fetch blockhash for slot ${round.bonusSlot}:`, err.message);
+  }
+
+  const ties = round.tieBreak === "random" ? recomputeTieOrder(round) : [];
+  // Prize places must follow the recomputed order (stories past the paid places have none)
+  const tiesMatch = ties.every(({ order }) =>
+    order.every((e, i) => i === 0 || e.place == null || (order[i - 1].place != null && e.place > order[i - 1].place))
+  );
+
+  return {
+    ...result,
+    seed: round.bonusSeed,
+    blockSlot: round.bonusBlockSlot,
+    blockhash: round.bonusBlockhash,
+    roll: round.bonusRoll,
+    hit: round.bonusHit,
+    formula: `sha256(seed + ":" + blockhash) mod ${round.bonusChance} + 1, bonus on 1`,
+    ...(ties.length && { ties, tieFormula: `sha256(seed + ":" + blockhash + ":" + userId), lowest ranks first` }),
+    checks: {
+      seedMatchesCommitment: hashBonusSeed(round.bonusSeed) === round.bonusSeedHash,
+      blockhashMatchesChain: chainBlockhash === null ? null : chainBlockhash === round.bonusBlockhash,
+      rollMatches: recomputed.roll === round.bonusRoll && recomputed.hit === round.bonusHit,
+      ...(ties.length && { tieOrderMatches: tiesMatch })
+    }
+  };
 }
 
 // === CALCULATE POTENTIAL TREASURY BONUS ===
 function calculateTreasuryBonus() {
-  const percentage = getTreasuryBonusPercentage();
-  return Math.floor(actualTreasuryBalance * percentage);
+  return calculateBonusFor(actualTreasuryBalance);
 }
 
 // === GET ACTUAL TREASURY BALANCE FROM BLOCKCHAIN ===
@@ -168,8 +732,9 @@ async function getActualTreasuryBalance() {
 }
 
 // === CALCULATE VOTING TIME ===
+// Track rounds vote long enough for every track to be heard
 function calculateVotingTime() {
-  const uploaders = participants.filter(p => p.choice === "upload" && p.track);
+  const uploaders = listEntries(currentRoundId, "story").filter(p => p.paid && p.track);
   
   if (uploaders.length === 0) {
     return 3 * 60 * 1000; // Default 3 minutes if no tracks
@@ -199,194 +764,441 @@ function calculateVotingTime() {
   }
 }
 
-// === TIER CONFIGURATION ===
-const TIERS = {
-  BASIC: { 
-    min: 0.01, 
-    max: 0.049,
-    retention: 0.50,
-    multiplier: 1.0,
-    name: "Basic",
-    badge: "🎵"
-  },
-  MID: { 
-    min: 0.05, 
-    max: 0.099,
-    retention: 0.55,
-    multiplier: 1.05,
-    name: "Mid Tier",
-    badge: "💎"
-  },
-  HIGH: { 
-    min: 0.10, 
-    max: 0.499,
-    retention: 0.60,
-    multiplier: 1.10,
-    name: "High Tier",
-    badge: "👑"
-  },
-  WHALE: { 
-    min: 0.50,
-    max: 999,
-    retention: 0.65,
-    multiplier: 1.15,
-    name: "Whale",
-    badge: "🐋"
+// === TRANSFER TOKENS TO RECIPIENT ===
+// Builds and signs (but does not send) a SUNO transfer from the treasury.
+async function buildTokenTransferTx(tokenAmount, recipientWallet) {
+  const recipientPubkey = new PublicKey(recipientWallet);
+  
+  // Get treasury token account
+  const treasuryTokenAccount = await getAssociatedTokenAddress(
+    TOKEN_MINT,
+    TREASURY_KEYPAIR.publicKey
+  );
+  
+  // Get or create recipient token account
+  const recipientTokenAccount = await getAssociatedTokenAddress(
+    TOKEN_MINT,
+    recipientPubkey
+  );
+  
+  // Check if recipient ATA exists
+  const recipientATA = await connection.getAccountInfo(recipientTokenAccount);
+  
+  const tx = new Transaction();
+  
+  // Create recipient ATA if needed
+  if (!recipientATA) {
+    console.log("📝 Creating recipient token account...");
+    tx.add(
+      createAssociatedTokenAccountInstruction(
+        TREASURY_KEYPAIR.publicKey,
+        recipientTokenAccount,
+        recipientPubkey,
+        TOKEN_MINT
+      )
+    );
   }
-};
+  
+  // Add transfer instruction
+  // Convert SUNO amount to raw amount (multiply by 1,000,000 for 6 decimals)
+  const rawAmount = Math.floor(tokenAmount * 1_000_000);
+  
+  tx.add(
+    createTransferInstruction(
+      treasuryTokenAccount,
+      recipientTokenAccount,
+      TREASURY_KEYPAIR.publicKey,
+      rawAmount  // Use raw amount with 6 decimals
+    )
+  );
+  
+  tx.feePayer = TREASURY_KEYPAIR.publicKey;
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+  tx.recentBlockhash = blockhash;
+  tx.sign(TREASURY_KEYPAIR);
+  
+  return { tx, blockhash, lastValidBlockHeight };
+}
+
+// Builds and signs (but does not send) a SOL transfer from the treasury.
+async function buildSOLTransferTx(destination, amountSOL) {
+  const lamports = Math.floor(amountSOL * 1e9);
+  
+  const tx = new Transaction().add(
+    SystemProgram.transfer({
+      fromPubkey: TREASURY_KEYPAIR.publicKey,
+      toPubkey: new PublicKey(destination),
+      lamports,
+    })
+  );
+  tx.feePayer = TREASURY_KEYPAIR.publicKey;
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+  tx.recentBlockhash = blockhash;
+  tx.sign(TREASURY_KEYPAIR);
+  
+  return { tx, blockhash, lastValidBlockHeight };
+}
+
+// === TREASURY OPERATION QUEUE ===
+// Anything that moves SOL or SUNO through the treasury wallet runs one at a time,
+// in arrival order, and is logged to the treasury_ops table. Calls made from
+// inside a running op (e.g. a refund while a payment is being split) run inline.
+const treasuryContext = new AsyncLocalStorage();
+let treasuryQueue = Promise.resolve();
+
+function runTreasuryOp(label, fn, reference = null) {
+  if (treasuryContext.getStore()) return fn();
+
+  const run = async () => {
+    const opId = startTreasuryOp(label, reference);
+    try {
+      const result = await treasuryContext.run(opId, fn);
+      finishTreasuryOp(opId, "done");
+      return result;
+    } catch (err) {
+      finishTreasuryOp(opId, "failed", err.message);
+      throw err;
+    }
+  };
+
+  const result = treasuryQueue.then(run);
+  treasuryQueue = result.catch(() => {});
+  return result;
+}
+
+// === PAYOUT LEDGER ===
+// Every outgoing transfer is recorded here BEFORE it is broadcast.
+// Status flow: pending → sent → confirmed, or → failed (retried with backoff).
+// A failed payout can be cancelled when it is replaced by a refund.
+const PAYOUT_MAX_ATTEMPTS = 8;
+const PAYOUT_RETRY_BASE = 30 * 1000;       // First retry after 30 seconds
+const PAYOUT_RETRY_MAX = 30 * 60 * 1000;   // Backoff capped at 30 minutes
 
-function getTier(amount) {
-  if (amount >= TIERS.WHALE.min) return TIERS.WHALE;
-  if (amount >= TIERS.HIGH.min) return TIERS.HIGH;
-  if (amount >= TIERS.MID.min) return TIERS.MID;
-  return TIERS.BASIC;
+const payoutsInFlight = new Set();
+
+function getPayoutBackoff(attempts) {
+  return Math.min(PAYOUT_RETRY_BASE * 2 ** Math.max(0, attempts - 1), PAYOUT_RETRY_MAX);
 }
 
-function getWhaleRetention(amount) {
-  if (amount < 0.50) return 0.65;
-  if (amount >= 5.00) return 0.75;
-  return 0.65 + ((amount - 0.50) / 4.50) * 0.10;
+function formatPayoutAmount(entry) {
+  return entry.asset === "SOL"
+    ? `${entry.amount.toFixed(4)} SOL`
+    : `${entry.amount.toLocaleString()} SUNO`;
 }
 
-function getWhaleMultiplier(amount) {
-  if (amount < 0.50) return 1.15;
-  if (amount >= 5.00) return 1.50;
-  return 1.15 + ((amount - 0.50) / 4.50) * 0.35;
+// `key` makes creation idempotent: the same key always maps to one ledger entry
+function createPayout(asset, destination, amount, reason, { key = null, userId = null, reference = null, roundId = null, notify = null } = {}) {
+  if (key) {
+    const existing = getPayoutByKey(key);
+    if (existing) return existing;
+  }
+
+  const entry = {
+    payoutKey: key,
+    asset,
+    destination,
+    amount,
+    reason,
+    userId,
+    reference,
+    roundId,
+    notify,          // DM text sent to userId once the payout is confirmed
+    notified: false,
+    status: "pending",
+    attempts: 0,
+    signature: null,
+    signatures: [],
+    blockhash: null,
+    lastValidBlockHeight: null,
+    lastError: null,
+    nextAttemptAt: null,
+    createdAt: Date.now(),
+    sentAt: null,
+    confirmedAt: null
+  };
+  entry.id = insertPayout(entry);
+  return entry;
 }
 
-// === TRANSFER TOKENS TO RECIPIENT ===
-async function transferTokensToRecipient(tokenAmount, recipientWallet) {
+function markPayoutFailed(entry, message) {
+  entry.status = "failed";
+  entry.lastError = message;
+  entry.nextAttemptAt = entry.attempts < PAYOUT_MAX_ATTEMPTS
+    ? Date.now() + getPayoutBackoff(entry.attempts)
+    : null; // Gave up — needs an admin replay
+  savePayout(entry);
+  console.error(`⚠️ Payout #${entry.id} (${entry.reason}) failed [attempt ${entry.attempts}]: ${message}`);
+}
+
+function markPayoutConfirmed(entry) {
+  // Fees are counted when they land, whether inline or through the retry worker
+  if (entry.reason === "Trans fee" && entry.status !== "confirmed") {
+    transFeeCollected += entry.amount;
+    saveState();
+  }
+  entry.status = "confirmed";
+  entry.confirmedAt = Date.now();
+  entry.lastError = null;
+  entry.nextAttemptAt = null;
+  savePayout(entry);
+  console.log(`✅ Payout #${entry.id} confirmed: ${formatPayoutAmount(entry)} → ${entry.destination.substring(0, 8)}...`);
+
+  // Queued (and stored) right away, so the notice survives a restart
+  if (entry.notify && entry.userId && !entry.notified) {
+    telegram.sendMessage(entry.userId, entry.notify.replace("{signature}", entry.signature));
+    entry.notified = true;
+    savePayout(entry);
+  }
+}
+
+// Resolve a "sent" entry from chain state. A signature that is not found after
+// its blockhash expired can never land, so it is safe to mark failed and retry.
+async function reconcilePayout(entry) {
+  if (entry.status !== "sent" || !entry.signature) return entry;
+
   try {
-    console.log(`📤 Initiating token transfer...`);
-    
-    const recipientPubkey = new PublicKey(recipientWallet);
-    
-    // Get treasury token account
-    const treasuryTokenAccount = await getAssociatedTokenAddress(
-      TOKEN_MINT,
-      TREASURY_KEYPAIR.publicKey
-    );
-    
-    // Get or create recipient token account
-    const recipientTokenAccount = await getAssociatedTokenAddress(
-      TOKEN_MINT,
-      recipientPubkey
-    );
-    
-    // Check if recipient ATA exists
-    const recipientATA = await connection.getAccountInfo(recipientTokenAccount);
-    
-    const tx = new Transaction();
-    
-    // Create recipient ATA if needed
-    if (!recipientATA) {
-      console.log("📝 Creating recipient token account...");
-      tx.add(
-        createAssociatedTokenAccountInstruction(
-          TREASURY_KEYPAIR.publicKey,
-          recipientTokenAccount,
-          recipientPubkey,
-          TOKEN_MINT
-        )
-      );
+    const { value: status } = await connection.getSignatureStatus(entry.signature, {
+      searchTransactionHistory: true
+    });
+
+    if (status?.err) {
+      markPayoutFailed(entry, `Transaction error: ${JSON.stringify(status.err)}`);
+    } else if (status?.confirmationStatus === "confirmed" || status?.confirmationStatus === "finalized") {
+      markPayoutConfirmed(entry);
+    } else if (!status) {
+      const blockHeight = await connection.getBlockHeight();
+      if (blockHeight > entry.lastValidBlockHeight) {
+        markPayoutFailed(entry, "Transaction expired before landing");
+      }
     }
-    
-    // Add transfer instruction
-    // Convert SUNO amount to raw amount (multiply by 1,000,000 for 6 decimals)
-    const rawAmount = Math.floor(tokenAmount * 1_000_000);
-    
-    tx.add(
-      createTransferInstruction(
-        treasuryTokenAccount,
-        recipientTokenAccount,
-        TREASURY_KEYPAIR.publicKey,
-        rawAmount  // Use raw amount with 6 decimals
-      )
-    );
-    
-    tx.feePayer = TREASURY_KEYPAIR.publicKey;
-    const { blockhash } = await connection.getLatestBlockhash();
-    tx.recentBlockhash = blockhash;
-    
-    console.log("✍️ Signing transfer transaction...");
-    const sig = await connection.sendTransaction(tx, [TREASURY_KEYPAIR]);
-    
-    console.log(`📤 Transfer sent: ${sig.substring(0, 8)}...`);
-    console.log(`🔗 https://solscan.io/tx/${sig}`);
-    
-    await connection.confirmTransaction(sig, "confirmed");
-    
-    console.log(`✅ Transfer confirmed!`);
-    
-    return true;
-    
   } catch (err) {
-    console.error(`❌ Token transfer failed: ${err.message}`);
-    console.error(err.stack);
-    return false;
+    console.error(`⚠️ Could not reconcile payout #${entry.id}: ${err.message}`);
   }
+
+  return entry;
 }
 
-// === CHECK IF TOKEN HAS BONDED ===
-async function checkIfBonded() {
+async function executePayout(entry) {
+  if (payoutsInFlight.has(entry.id) || entry.status === "confirmed" || entry.status === "sent") {
+    return entry;
+  }
+  payoutsInFlight.add(entry.id);
+
   try {
-    console.log("🔍 Checking if SUNO has graduated from pump.fun...");
-    
-    const PUMP_PROGRAM = new PublicKey("6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P");
-    
-    // Derive bonding curve PDA
-    const [bondingCurve] = PublicKey.findProgramAddressSync(
-      [Buffer.from("bonding-curve"), TOKEN_MINT.toBuffer()],
-      PUMP_PROGRAM
-    );
-    
-    const accountInfo = await connection.getAccountInfo(bondingCurve);
-    
-    if (!accountInfo) {
-      console.log("✅ Token has graduated to Raydium! Using Jupiter...");
-      return true;
-    }
-    
-    // Check if bonding curve is complete
-    const data = accountInfo.data;
-    const complete = data[8];
-    
-    if (complete === 1) {
-      console.log("✅ Bonding curve complete! Token graduated. Using Jupiter...");
-      return true;
-    }
-    
-    console.log("📊 Token still on pump.fun bonding curve. Using PumpPortal API...");
-    return false;
-    
-  } catch (err) {
-    console.error(`⚠️ Bond check error: ${err.message}. Defaulting to Jupiter...`);
-    return true;
+    return await runTreasuryOp(`Payout #${entry.id} (${entry.reason})`, () => broadcastPayout(entry), entry.reference);
+  } finally {
+    payoutsInFlight.delete(entry.id);
   }
 }
 
-// === PUMP.FUN BUY (Using PumpPortal API) ===
-// Documentation: https://pumpportal.fun/api/trade-local
-async function buyOnPumpFun(solAmount) {
+async function broadcastPayout(entry) {
+  entry.attempts++;
+  console.log(`💸 ${entry.reason}: ${formatPayoutAmount(entry)} → ${entry.destination.substring(0, 8)}... (payout #${entry.id}, attempt ${entry.attempts})`);
+
+  let built;
   try {
-    console.log(`🚀 Starting pump.fun buy with PumpPortal API: ${solAmount.toFixed(4)} SOL`);
-    console.log(`📍 Buying to treasury, will split SUNO after...`);
-    
-    // Get treasury balance BEFORE purchase for accurate tracking
-    const treasuryTokenAccount = await getAssociatedTokenAddress(
-      TOKEN_MINT,
-      TREASURY_KEYPAIR.publicKey
-    );
-    
-    let balanceBefore = 0;
-    try {
-      const beforeBalance = await connection.getTokenAccountBalance(treasuryTokenAccount);
-      balanceBefore = Math.floor(parseFloat(beforeBalance.value.uiAmount || 0));
-      console.log(`💰 Treasury balance BEFORE: ${balanceBefore.toLocaleString()} SUNO`);
-    } catch (e) {
-      console.log(`💰 Treasury balance BEFORE: 0 SUNO (account doesn't exist yet)`);
-      balanceBefore = 0;
+    built = entry.asset === "SOL"
+      ? await buildSOLTransferTx(entry.destination, entry.amount)
+      : await buildTokenTransferTx(entry.amount, entry.destination);
+  } catch (err) {
+    markPayoutFailed(entry, err.message);
+    return entry;
+  }
+
+  // Record the signature before broadcasting so a crash can never cause a blind resend
+  const { tx, blockhash, lastValidBlockHeight } = built;
+  const signature = bs58.encode(tx.signature);
+  entry.status = "sent";
+  entry.signature = signature;
+  entry.signatures.push(signature);
+  entry.blockhash = blockhash;
+  entry.lastValidBlockHeight = lastValidBlockHeight;
+  entry.sentAt = Date.now();
+  savePayout(entry);
+
+  try {
+    await connection.sendRawTransaction(tx.serialize(), {
+      skipPreflight: false,
+      preflightCommitment: 'confirmed',
+      maxRetries: 3
+    });
+    console.log(`🔗 https://solscan.io/tx/${signature}`);
+
+    const result = await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, "confirmed");
+    if (result.value.err) {
+      markPayoutFailed(entry, `Transaction error: ${JSON.stringify(result.value.err)}`);
+    } else {
+      markPayoutConfirmed(entry);
+    }
+  } catch (err) {
+    console.error(`⚠️ Payout #${entry.id} send/confirm error: ${err.message}`);
+    await reconcilePayout(entry);
+  }
+
+  return entry;
+}
+
+// Abandon a payout that definitively did not land (e.g. replaced by a refund)
+function cancelPayout(entry, reason) {
+  if (payoutsInFlight.has(entry.id) || (entry.status !== "failed" && entry.status !== "pending")) {
+    return false;
+  }
+  entry.status = "cancelled";
+  entry.lastError = reason;
+  entry.nextAttemptAt = null;
+  savePayout(entry);
+  console.log(`🚫 Payout #${entry.id} cancelled: ${reason}`);
+  return true;
+}
+
+function getStuckPayouts() {
+  const now = Date.now();
+  return listPayouts(["failed", "sent", "pending"]).filter(p =>
+    (p.status === "failed" && !p.nextAttemptAt) ||
+    (p.status === "sent" && now - p.sentAt > 5 * 60 * 1000) ||
+    (p.status === "pending" && now - p.createdAt > 5 * 60 * 1000)
+  );
+}
+
+// Admin replay: reconcile sent entries, re-run failed/pending ones with a fresh attempt budget
+async function replayPayout(entry) {
+  if (entry.status === "sent") {
+    return reconcilePayout(entry);
+  }
+  if (entry.status === "failed" || entry.status === "pending") {
+    entry.attempts = 0;
+    entry.nextAttemptAt = null;
+    return executePayout(entry);
+  }
+  return entry;
+}
+
+// === PAYOUT RETRY WORKER ===
+let payoutWorkerRunning = false;
+
+async function processPayoutLedger() {
+  if (payoutWorkerRunning) return;
+  payoutWorkerRunning = true;
+
+  try {
+    const now = Date.now();
+    for (const { id } of listPayouts(["sent", "failed", "pending"])) {
+      if (payoutsInFlight.has(id)) continue;
+      const entry = getPayout(id); // Re-read: an inline payout may have just settled it
+      if (!entry) continue;
+
+      if (entry.status === "sent") {
+        await reconcilePayout(entry);
+      } else if (entry.status === "failed" && entry.nextAttemptAt && entry.nextAttemptAt <= now) {
+        await executePayout(entry);
+      } else if (entry.status === "pending" && now - entry.createdAt > 60 * 1000) {
+        // Crashed between recording and signing — nothing was broadcast
+        await executePayout(entry);
+      }
+    }
+  } catch (err) {
+    console.error("⚠️ Payout worker error:", err.message);
+  } finally {
+    payoutWorkerRunning = false;
+  }
+}
+
+setInterval(() => {
+  processPayoutLedger();
+}, 30 * 1000);
+
+// === PUMP.FUN BONDING CURVE ===
+const PUMP_PROGRAM = new PublicKey("6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P");
+const PUMP_FEE_BPS = 100n; // pump.fun takes ~1% of the SOL in on the curve
+
+// Layout: 8-byte discriminator, then u64 virtualTokenReserves, virtualSolReserves,
+// realTokenReserves, realSolReserves, tokenTotalSupply, then the `complete` flag.
+async function getBondingCurve() {
+  const [bondingCurve] = PublicKey.findProgramAddressSync(
+    [Buffer.from("bonding-curve"), TOKEN_MINT.toBuffer()],
+    PUMP_PROGRAM
+  );
+
+  const accountInfo = await connection.getAccountInfo(bondingCurve);
+  if (!accountInfo) return null;
+
+  const data = accountInfo.data;
+  return {
+    virtualTokenReserves: data.readBigUInt64LE(8),
+    virtualSolReserves: data.readBigUInt64LE(16),
+    complete: data[48] === 1
+  };
+}
+
+// === CHECK IF TOKEN HAS BONDED ===
+async function checkIfBonded() {
+  try {
+    console.log("🔍 Checking if SUNO has graduated from pump.fun...");
+    
+    const curve = await getBondingCurve();
+    
+    if (!curve) {
+      console.log("✅ Token has graduated to Raydium! Using Jupiter...");
+      return true;
+    }
+    
+    // Check if bonding curve is complete
+    if (curve.complete) {
+      console.log("✅ Bonding curve complete! Token graduated. Using Jupiter...");
+      return true;
+    }
+    
+    console.log("📊 Token still on pump.fun bonding curve. Using PumpPortal API...");
+    return false;
+    
+  } catch (err) {
+    console.error(`⚠️ Bond check error: ${err.message}. Defaulting to Jupiter...`);
+    return true;
+  }
+}
+
+// === SUNO RECEIVED BY A BUY ===
+// Read from the buy transaction's own pre/post token balances rather than the
+// wallet balance, which concurrent buys and payouts also move.
+async function getBoughtSUNO(signature) {
+  const owner = TREASURY_KEYPAIR.publicKey.toBase58();
+  const mint = TOKEN_MINT.toBase58();
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const tx = await connection.getParsedTransaction(signature, {
+      commitment: "confirmed",
+      maxSupportedTransactionVersion: 0
+    });
+
+    if (tx?.meta) {
+      if (tx.meta.err) throw new Error(`Buy transaction failed: ${JSON.stringify(tx.meta.err)}`);
+
+      const treasuryBalances = (balances = []) => balances.filter(b => b.mint === mint && b.owner === owner);
+      const pre = treasuryBalances(tx.meta.preTokenBalances);
+      const post = treasuryBalances(tx.meta.postTokenBalances);
+      const rawTotal = (balances) => balances.reduce((sum, b) => sum + BigInt(b.uiTokenAmount.amount), 0n);
+
+      // No pre balance means the buy created the treasury's token account
+      const received = rawTotal(post) - rawTotal(pre);
+      const decimals = post[0]?.uiTokenAmount.decimals ?? 6;
+      return received > 0n ? Number(received / 10n ** BigInt(decimals)) : 0;
     }
+
+    await new Promise(r => setTimeout(r, 1500));
+  }
+
+  throw new Error(`Buy transaction ${signature.substring(0, 8)}... not found`);
+}
+
+// === PUMP.FUN BUY (Using PumpPortal API) ===
+// Documentation: https://pumpportal.fun/api/trade-local
+// Errors thrown after the transaction may have been broadcast carry `err.signature`;
+// a SendTransactionError is a preflight rejection, so nothing went out.
+async function buyOnPumpFun(solAmount) {
+  let sentSignature = null;
+  try {
+    console.log(`🚀 Starting pump.fun buy with PumpPortal API: ${solAmount.toFixed(4)} SOL`);
+    console.log(`📍 Buying to treasury, will split SUNO after...`);
     
     // Get transaction from PumpPortal
     console.log("📊 Getting PumpPortal transaction...");
@@ -401,8 +1213,8 @@ async function buyOnPumpFun(solAmount) {
         mint: TOKEN_MINT.toBase58(),
         denominatedInSol: "true",
         amount: solAmount,
-        slippage: 10,
-        priorityFee: 0.0001,
+        slippage: config.swap.pumpSlippagePercent,
+        priorityFee: config.swap.pumpPriorityFeeSOL,
         pool: "auto"  // Auto-detect pump.fun or Raydium
       })
     });
@@ -423,6 +1235,7 @@ async function buyOnPumpFun(solAmount) {
     
     // Send transaction
     console.log("📤 Sending buy transaction...");
+    sentSignature = bs58.encode(tx.signatures[0]);
     const sig = await connection.sendRawTransaction(tx.serialize(), {
       skipPreflight: false,
       preflightCommitment: 'confirmed',
@@ -437,33 +1250,49 @@ async function buyOnPumpFun(solAmount) {
     
     console.log(`✅ Pump.fun buy complete!`);
     
-    // Get balance AFTER purchase
-    await new Promise(r => setTimeout(r, 3000));
-    
-    const afterBalance = await connection.getTokenAccountBalance(treasuryTokenAccount);
-    const balanceAfter = Math.floor(parseFloat(afterBalance.value.uiAmount || 0));
-    
-    const sunoReceived = balanceAfter - balanceBefore;
+    const sunoReceived = await getBoughtSUNO(sig);
     console.log(`🪙 Treasury received ${sunoReceived.toLocaleString()} SUNO`);
-    console.log(`📊 Treasury total balance: ${balanceAfter.toLocaleString()} SUNO`);
     
-    return sunoReceived;
+    return { signature: sig, sunoAmount: sunoReceived };
     
   } catch (err) {
     console.error(`❌ Pump.fun buy failed: ${err.message}`);
     console.error(err.stack);
+    if (sentSignature && !(err instanceof SendTransactionError)) err.signature = sentSignature;
     throw err;
   }
 }
 
 // === JUPITER SWAP ===
+const SOL_MINT = "So11111111111111111111111111111111111111112";
+
+async function getJupiterQuote(solAmount) {
+  const lamports = Math.floor(solAmount * 1e9);
+  const quoteResponse = await fetch(
+    `https://quote-api.jup.ag/v6/quote?inputMint=${SOL_MINT}&outputMint=${TOKEN_MINT.toBase58()}&amount=${lamports}&slippageBps=${config.swap.jupiterSlippageBps}`
+  );
+  
+  if (!quoteResponse.ok) {
+    throw new Error(`Jupiter quote request failed: ${quoteResponse.status} ${quoteResponse.statusText}`);
+  }
+  
+  const quoteData = await quoteResponse.json();
+  
+  if (!quoteData || quoteData.error) {
+    throw new Error(`Quote failed: ${quoteData?.error || 'Unknown error'}`);
+  }
+  
+  return quoteData;
+}
+
+// Errors thrown after the transaction may have been broadcast carry `err.signature`;
+// a SendTransactionError is a preflight rejection, so nothing went out.
 async function buyOnJupiter(solAmount) {
+  let sentSignature = null;
   try {
     console.log(`🪐 Starting Jupiter swap: ${solAmount.toFixed(4)} SOL → SUNO`);
     console.log(`📍 Buying to treasury, will split SUNO after...`);
     
-    const lamports = Math.floor(solAmount * 1e9);
-    
     // Get treasury's token account (where tokens will go)
     const treasuryTokenAccount = await getAssociatedTokenAddress(
       TOKEN_MINT,
@@ -474,24 +1303,12 @@ async function buyOnJupiter(solAmount) {
     
     // Get quote from Jupiter
     console.log("📊 Getting Jupiter quote...");
-    const quoteResponse = await fetch(
-      `https://quote-api.jup.ag/v6/quote?inputMint=So11111111111111111111111111111111111111112&outputMint=${TOKEN_MINT.toBase58()}&amount=${lamports}&slippageBps=500`
-    );
-    
-    if (!quoteResponse.ok) {
-      throw new Error(`Jupiter quote request failed: ${quoteResponse.status} ${quoteResponse.statusText}`);
-    }
-    
-    const quoteData = await quoteResponse.json();
-    
-    if (!quoteData || quoteData.error) {
-      throw new Error(`Quote failed: ${quoteData?.error || 'Unknown error'}`);
-    }
+    const quoteData = await getJupiterQuote(solAmount);
     
     // Jupiter returns raw amount - convert to SUNO
     const rawOutAmount = parseInt(quoteData.outAmount);
     const outAmount = Math.floor(rawOutAmount / 1_000_000); // Convert to SUNO (6 decimals)
-    console.log(`💎 Quote received: ${outAmount.toLocaleString()} SUNO`);
+    console.log(`💎 Quote received: ~${outAmount.toLocaleString()} SUNO`);
     
     // Get swap transaction (to treasury's token account)
     console.log("🔨 Building swap transaction...");
@@ -506,7 +1323,7 @@ async function buyOnJupiter(solAmount) {
         dynamicComputeUnitLimit: true,
         prioritizationFeeLamports: {
           priorityLevelWithMaxLamports: {
-            maxLamports: 100000,
+            maxLamports: config.swap.jupiterMaxPriorityLamports,
             priorityLevel: "high"
           }
         }
@@ -530,6 +1347,7 @@ async function buyOnJupiter(solAmount) {
     const transaction = VersionedTransaction.deserialize(swapTransactionBuf);
     transaction.sign([TREASURY_KEYPAIR]);
     
+    sentSignature = bs58.encode(transaction.signatures[0]);
     const rawTransaction = transaction.serialize();
     const sig = await connection.sendRawTransaction(rawTransaction, {
       skipPreflight: false,
@@ -544,33 +1362,126 @@ async function buyOnJupiter(solAmount) {
     await connection.confirmTransaction(sig, 'confirmed');
     
     console.log(`✅ Jupiter swap complete!`);
-    console.log(`🪙 Treasury received ${outAmount.toLocaleString()} SUNO tokens (will split next)`);
     
-    return outAmount;
+    // The quote is only an estimate — credit what the swap actually delivered
+    const sunoReceived = await getBoughtSUNO(sig);
+    console.log(`🪙 Treasury received ${sunoReceived.toLocaleString()} SUNO tokens (will split next)`);
+    
+    return { signature: sig, sunoAmount: sunoReceived };
     
   } catch (err) {
     console.error(`❌ Jupiter swap failed: ${err.message}`);
     console.error(err.stack);
+    if (sentSignature && !(err instanceof SendTransactionError)) err.signature = sentSignature;
     throw err;
   }
 }
 
-// === MARKET INTEGRATION (Uses PumpPortal API with auto pool detection) ===
+// === SWAP QUOTES ===
+// Expected SUNO out for `solAmount`, used only to rank providers.
+// PumpPortal has no quote endpoint, so its quote is priced off the bonding curve
+// (null once the token has graduated and PumpPortal routes to an AMM instead).
+async function quotePumpFun(solAmount) {
+  const curve = await getBondingCurve();
+  if (!curve || curve.complete) return null;
+
+  const lamportsIn = BigInt(Math.floor(solAmount * 1e9)) * (10000n - PUMP_FEE_BPS) / 10000n;
+  const k = curve.virtualTokenReserves * curve.virtualSolReserves;
+  const tokensOut = curve.virtualTokenReserves - k / (curve.virtualSolReserves + lamportsIn);
+  return Number(tokensOut / 1_000_000n);
+}
+
+async function quoteJupiter(solAmount) {
+  const quoteData = await getJupiterQuote(solAmount);
+  return Math.floor(parseInt(quoteData.outAmount) / 1_000_000);
+}
+
+// === SWAP ROUTER ===
+const SWAP_PROVIDERS = sandbox
+  ? sandbox.createSwapProviders({
+      wallet: TREASURY_KEYPAIR.publicKey,
+      mint: TOKEN_MINT,
+      sunoPerSOL: parseFloat(process.env.SANDBOX_SUNO_PER_SOL || "1000000")
+    })
+  : {
+      pumpportal: { name: "PumpPortal", quote: quotePumpFun, buy: buyOnPumpFun },
+      jupiter: { name: "Jupiter", quote: quoteJupiter, buy: buyOnJupiter }
+    };
+
+// Bonded tokens go to Jupiter first, tokens still on the curve to PumpPortal first.
+// With swap.bestQuote, providers are re-ranked by their quoted output.
+async function getSwapRoute(solAmount) {
+  const bonded = await checkIfBonded();
+  const route = bonded ? ["jupiter", "pumpportal"] : ["pumpportal", "jupiter"];
+  if (!config.swap.bestQuote) return route;
+
+  const quotes = {};
+  await Promise.all(route.map(async (id) => {
+    try {
+      quotes[id] = await SWAP_PROVIDERS[id].quote(solAmount);
+    } catch (err) {
+      console.log(`⚠️ ${SWAP_PROVIDERS[id].name} quote failed: ${err.message}`);
+    }
+  }));
+
+  console.log(`📊 Quotes: ${route.map(id => `${SWAP_PROVIDERS[id].name} ${quotes[id]?.toLocaleString() ?? "n/a"}`).join(", ")}`);
+  return [...route].sort((a, b) => (quotes[b] ?? -1) - (quotes[a] ?? -1));
+}
+
+// Thrown when a broadcast buy has neither landed nor failed: the payment is parked
+// as "buy_unresolved" and settled by the unresolved buy worker, never refunded blind
+class BuyUnresolvedError extends Error {
+  constructor(signature) {
+    super(`Buy ${signature.substring(0, 8)}... was broadcast but has not landed yet`);
+    this.signature = signature;
+  }
+}
+
+// A buy that errored after broadcast may still have landed. Returns the purchase if it
+// did, null if it definitively failed on-chain (safe to try another provider), and
+// throws BuyUnresolvedError if its fate is unknown — buying again could spend the SOL twice.
+async function resolveBroadcastBuy(signature) {
+  const { value: status } = await connection.getSignatureStatus(signature, { searchTransactionHistory: true });
+  if (status?.err) return null;
+  if (status?.confirmationStatus === "confirmed" || status?.confirmationStatus === "finalized") {
+    return { signature, sunoAmount: await getBoughtSUNO(signature) };
+  }
+  throw new BuyUnresolvedError(signature);
+}
+
+// === MARKET INTEGRATION ===
+// Returns { signature, sunoAmount, provider } for the buy transaction
 async function buySUNOOnMarket(solAmount) {
   try {
     console.log(`\n🔄 ========== BUYING SUNO ==========`);
     console.log(`💰 Amount: ${solAmount.toFixed(4)} SOL`);
     console.log(`📍 Buying to treasury (will split after)`);
     
-    let sunoAmount;
+    const route = await getSwapRoute(solAmount);
+    const attempts = config.swap.fallback ? route : route.slice(0, 1);
+    let lastError = null;
     
-    // Use PumpPortal API with auto pool detection (handles pump.fun AND graduated tokens)
-    console.log("🚀 Using PumpPortal API with auto pool detection...");
-    sunoAmount = await buyOnPumpFun(solAmount);
+    for (const id of attempts) {
+      const provider = SWAP_PROVIDERS[id];
+      console.log(`🔀 Buying via ${provider.name}...`);
+      
+      let purchase = null;
+      try {
+        purchase = await provider.buy(solAmount);
+      } catch (err) {
+        lastError = err;
+        if (err.signature) purchase = await resolveBroadcastBuy(err.signature);
+      }
+      
+      if (purchase) {
+        console.log(`✅ Purchase complete via ${provider.name}! ${purchase.sunoAmount.toLocaleString()} SUNO now in treasury`);
+        console.log(`🔄 ===================================\n`);
+        return { ...purchase, provider: id };
+      }
+      console.log(`⚠️ ${provider.name} buy did not go through`);
+    }
     
-    console.log(`✅ Purchase complete! ${sunoAmount.toLocaleString()} SUNO now in treasury`);
-    console.log(`🔄 ===================================\n`);
-    return sunoAmount;
+    throw lastError || new Error("No swap provider available");
     
   } catch (err) {
     console.error(`❌ Market buy failed: ${err.message}`);
@@ -579,46 +1490,183 @@ async function buySUNOOnMarket(solAmount) {
   }
 }
 
+// === ON-CHAIN PAYMENT VERIFICATION ===
+const FINALITY_WAIT = 45 * 1000; // Max time to wait for a payment to finalize
+
+class PaymentVerificationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Wait until the signature reaches "finalized" (or fail with a clear code)
+async function waitForFinalized(signature) {
+  const deadline = Date.now() + FINALITY_WAIT;
+
+  while (true) {
+    const { value: status } = await connection.getSignatureStatus(signature, {
+      searchTransactionHistory: true
+    });
+
+    if (status?.err) {
+      throw new PaymentVerificationError("TX_FAILED", "Payment transaction failed on-chain");
+    }
+    if (status?.confirmationStatus === "finalized") return;
+
+    if (Date.now() >= deadline) {
+      if (!status) {
+        throw new PaymentVerificationError("TX_NOT_FOUND", "Payment transaction not found");
+      }
+      throw new PaymentVerificationError("TX_NOT_FINALIZED", "Payment transaction is not finalized yet, try again shortly");
+    }
+
+    await new Promise(r => setTimeout(r, 2000));
+  }
+}
+
+// Sum lamports moved by System Program transfers (top-level + inner instructions)
+function sumSystemTransfers(tx, source, destination) {
+  const instructions = [
+    ...tx.transaction.message.instructions,
+    ...(tx.meta?.innerInstructions || []).flatMap(ix => ix.instructions)
+  ];
+
+  let lamports = 0;
+  for (const ix of instructions) {
+    if (ix.program !== "system" || !ix.parsed) continue;
+    const { type, info } = ix.parsed;
+    if (type !== "transfer" && type !== "transferWithSeed") continue;
+    if (info.source === source && info.destination === destination) {
+      lamports += Number(info.lamports);
+    }
+  }
+  return lamports;
+}
+
+// Verify that `signature` is a finalized payment of at least `amountSOL`
+// from `senderWallet` to TREASURY that carries the `reference` key.
+// Returns the lamports actually received; throws PaymentVerificationError otherwise.
+async function verifyPaymentOnChain({ signature, senderWallet, reference, amountSOL }) {
+  console.log(`🔎 Verifying payment on-chain: ${signature.substring(0, 8)}...`);
+
+  await waitForFinalized(signature);
+
+  const tx = await connection.getParsedTransaction(signature, {
+    commitment: "finalized",
+    maxSupportedTransactionVersion: 0
+  });
+
+  if (!tx) {
+    throw new PaymentVerificationError("TX_NOT_FOUND", "Payment transaction not found");
+  }
+  if (tx.meta?.err) {
+    throw new PaymentVerificationError("TX_FAILED", "Payment transaction failed on-chain");
+  }
+
+  const accountKeys = tx.transaction.message.accountKeys.map(k => k.pubkey.toBase58());
+  if (!accountKeys.includes(reference)) {
+    throw new PaymentVerificationError("REFERENCE_MISMATCH", "Payment does not include the expected reference");
+  }
+
+  const receivedLamports = sumSystemTransfers(tx, senderWallet, TREASURY.toBase58());
+  const expectedLamports = Math.round(amountSOL * 1e9);
+
+  if (receivedLamports === 0) {
+    throw new PaymentVerificationError("NO_TRANSFER", "No SOL transfer from sender wallet to treasury found");
+  }
+  if (receivedLamports < expectedLamports) {
+    throw new PaymentVerificationError(
+      "AMOUNT_TOO_LOW",
+      `Payment too low: received ${(receivedLamports / 1e9).toFixed(4)} SOL, expected ${amountSOL} SOL`
+    );
+  }
+
+  console.log(`✅ On-chain payment verified: ${(receivedLamports / 1e9).toFixed(4)} SOL`);
+  return receivedLamports;
+}
+
 // === STATE PERSISTENCE ===
-const SAVE_FILE = fs.existsSync("/data")
-  ? "/data/submissions.json"
-  : "./submissions.json";
+// Game state lives in SQLite; the JSON files are only read once for migration.
+const DATA_DIR = fs.existsSync("/data") ? "/data" : ".";
+const DB_FILE = `${DATA_DIR}/${DRY_RUN ? "sunolabs-dryrun.db" : "sunolabs.db"}`;
+const SAVE_FILE = `${DATA_DIR}/submissions.json`;
+const LEDGER_FILE = `${DATA_DIR}/payouts.json`;
+
+openStore(DB_FILE);
+migrateLegacyFiles({ stateFile: SAVE_FILE, ledgerFile: LEDGER_FILE });
 
 function saveState() {
   try {
-    fs.writeFileSync(
-      SAVE_FILE,
-      JSON.stringify({
-        participants,
-        voters,
-        phase,
-        cycleStartTime,
-        nextPhaseTime,
-        treasurySUNO,
-        actualTreasuryBalance,
-        transFeeCollected,
-        pendingPayments
-      }, null, 2)
-    );
+    setMeta({
+      phase,
+      cycleStartTime,
+      nextPhaseTime,
+      treasurySUNO,
+      actualTreasuryBalance,
+      transFeeCollected,
+      currentRoundId,
+      paused,
+      pausedAt
+    });
   } catch (err) {
     console.error("⚠️ Failed to save state:", err.message);
   }
 }
 
+// Archives the current round (its entries, votes and payments stay stored)
+// and opens the next one in cooldown, so late payments always have a round to
+// land in. Runs once per round; returns false if the round had already ended.
+// `results.leftover` is the part of the pool the payout did not use; it seeds
+// the next round's pool or joins the treasury, per `results.leftoverPolicy`.
+function endRound(results = {}, { carryOver = false } = {}) {
+  return withTransaction(() => {
+    const endedRoundId = currentRoundId;
+    if (!markRoundStep(endedRoundId, "ended")) return false;
+
+    updateRound(endedRoundId, {
+      ...results,
+      endedAt: Date.now(),
+      prizePool: treasurySUNO,
+      treasuryBalance: actualTreasuryBalance
+    });
+    closeRoundPayments(endedRoundId);
+    currentRoundId = createRound({ startedAt: Date.now() });
+
+    if (carryOver) {
+      carryOverVoters(endedRoundId, currentRoundId);
+    } else {
+      const leftover = results.leftover ?? 0;
+      treasurySUNO = results.leftoverPolicy === "carryover" ? leftover : 0;
+      if (results.leftoverPolicy === "treasury") actualTreasuryBalance += leftover;
+    }
+
+    return enterPhase("cooldown", Date.now() + COOLDOWN_DURATION);
+  });
+}
+
 function loadState() {
-  if (!fs.existsSync(SAVE_FILE)) return;
   try {
-    const d = JSON.parse(fs.readFileSync(SAVE_FILE));
-    participants = d.participants || [];
-    voters = d.voters || [];
-    phase = d.phase || "submission";
-    cycleStartTime = d.cycleStartTime || null;
-    nextPhaseTime = d.nextPhaseTime || null;
-    treasurySUNO = d.treasurySUNO || 0;
-    actualTreasuryBalance = d.actualTreasuryBalance || 0;
-    transFeeCollected = d.transFeeCollected || 0;
-    pendingPayments = d.pendingPayments || [];
-    console.log(`📂 State restored — ${participants.length} participants, phase: ${phase}, Treasury: ${actualTreasuryBalance.toLocaleString()} SUNO`);
+    phase = getMeta("phase", "submission");
+    cycleStartTime = getMeta("cycleStartTime");
+    nextPhaseTime = getMeta("nextPhaseTime");
+    treasurySUNO = getMeta("treasurySUNO", 0);
+    actualTreasuryBalance = getMeta("actualTreasuryBalance", 0);
+    transFeeCollected = getMeta("transFeeCollected", 0);
+    currentRoundId = getMeta("currentRoundId");
+    paused = getMeta("paused", false);
+    pausedAt = getMeta("pausedAt");
+    if (!currentRoundId) {
+      // Fresh store: first round starts after a short cooldown
+      currentRoundId = createRound({ startedAt: Date.now() });
+      phase = "cooldown";
+      nextPhaseTime = Date.now() + 3000;
+      markRoundStep(currentRoundId, "cooldown");
+      saveState();
+    }
+    const participantCount = listEntries(currentRoundId, "story").length;
+    console.log(`📂 State restored — round #${currentRoundId}, ${participantCount} participants, phase: ${phase}, Treasury: ${actualTreasuryBalance.toLocaleString()} SUNO`);
+    console.log(`📒 Payout ledger: ${countPayouts(["pending", "sent", "failed"])} payout(s) not confirmed`);
   } catch (e) {
     console.error("⚠️ Failed to load:", e.message);
   }
@@ -648,14 +1696,15 @@ const generalLimiter = rateLimit({
 });
 
 app.get("/", generalLimiter, async (_, res) => {
-  const uploaders = participants.filter(p => p.choice === "upload" && p.paid).length;
-  const voteOnly = voters.length;
-  const bonusPercentage = getTreasuryBonusPercentage();
+  const uploaders = listEntries(currentRoundId, "story").length;
+  const voteOnly = listEntries(currentRoundId, "vote").length;
+  const bonusPercentage = getTreasuryBonusPercentage(actualTreasuryBalance);
   
   res.json({
     status: "✅ SunoLabs Buy SUNO System Live",
     mode: "webhook",
     phase,
+    competition: config.round.competition,
     uploaders,
     voteOnly,
     roundPrizePool: treasurySUNO.toLocaleString() + " SUNO",
@@ -667,88 +1716,439 @@ app.get("/", generalLimiter, async (_, res) => {
   });
 });
 
+// === ROUND HISTORY API ===
+function serializeRoundSummary(round) {
+  return {
+    id: round.id,
+    startedAt: round.startedAt,
+    votingStartedAt: round.votingStartedAt,
+    endedAt: round.endedAt,
+    prizePool: round.prizePool,
+    winnersPool: round.winnersPool,
+    voterPool: round.voterPool,
+    bonusHit: round.bonusHit,
+    bonusAmount: round.bonusAmount,
+    bonusSeedHash: round.bonusSeedHash,
+    bonusRoll: round.bonusRoll,
+    treasuryBalance: round.treasuryBalance,
+    prizesPaid: round.prizesPaid,
+    voterRewardsPaid: round.voterRewardsPaid,
+    leftover: round.leftover,
+    leftoverPolicy: round.leftoverPolicy,
+    stories: round.storyCount ?? round.stories?.length ?? 0,
+    voters: round.voterCount ?? 0
+  };
+}
+
+app.get("/rounds", generalLimiter, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  res.json({ rounds: listRounds(limit, offset).map(serializeRoundSummary), limit, offset });
+});
+
+app.get("/rounds/:id", generalLimiter, (req, res) => {
+  const round = getRoundArchive(parseInt(req.params.id));
+  if (!round || !round.endedAt) {
+    return res.status(404).json({ error: "Round not found" });
+  }
+
+  res.json({
+    ...serializeRoundSummary(round),
+    stories: round.stories.map(e => ({
+      user: e.user,
+      tier: e.tier,
+      tierBadge: e.tierBadge,
+      story: e.story,
+      votes: e.votes,
+      score: e.score,
+      place: e.place,
+      prize: e.prize
+    })),
+    payouts: round.payouts.map(p => ({
+      id: p.id,
+      reason: p.reason,
+      asset: p.asset,
+      amount: p.amount,
+      destination: p.destination,
+      status: p.status,
+      signature: p.signature,
+      confirmedAt: p.confirmedAt
+    }))
+  });
+});
+
+app.get("/rounds/:id/verify", generalLimiter, async (req, res) => {
+  const result = await verifyBonusDraw(parseInt(req.params.id));
+  if (!result) {
+    return res.status(404).json({ error: "Round not found" });
+  }
+  res.json(result);
+});
+
 app.post(`/webhook/${token}`, generalLimiter, (req, res) => {
+  // Remember the sender's name and app language before any handler replies
+  const from = req.body?.message?.from || req.body?.callback_query?.from;
+  learnChannelId(req.body?.callback_query?.message?.chat);
+  if (from) {
+    try {
+      rememberUser(String(from.id), {
+        name: from.username ? `@${from.username}` : from.first_name || null,
+        languageCode: from.language_code || null
+      });
+    } catch (err) {
+      console.error("⚠️ Could not save user:", err.message);
+    }
+  }
   bot.processUpdate(req.body);
   res.sendStatus(200);
 });
 
-// === PAYMENT CONFIRMATION ===
-app.post("/confirm-payment", paymentLimiter, async (req, res) => {
-  console.log("\n==============================================");
-  console.log("🔔 /confirm-payment ENDPOINT HIT!");
-  console.log("📦 Request body:", JSON.stringify(req.body, null, 2));
-  console.log("==============================================\n");
+// === SANDBOX API (DRY_RUN only) ===
+// Stand-ins for the wallet and for reading what the bot "sent". Telegram updates
+// are fed through the normal webhook route: POST /webhook/<BOT_TOKEN or "sandbox">.
+if (sandbox) {
+  // Simulates the user's wallet paying for `reference`; pass the signature to /confirm-payment
+  app.post("/sandbox/pay", (req, res) => {
+    const { wallet, amount, reference } = req.body;
+    try {
+      const signature = sandbox.ledger.pay({
+        from: new PublicKey(wallet),
+        to: TREASURY,
+        lamports: Math.round(parseFloat(amount) * 1e9),
+        reference: new PublicKey(reference)
+      });
+      res.json({ ok: true, signature });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  app.get("/sandbox/outbox", (req, res) => {
+    const since = parseInt(req.query.since) || 0;
+    res.json({ messages: sandbox.bot.outbox.filter(m => m.id > since) });
+  });
+
+  app.get("/sandbox/ledger", (req, res) => {
+    res.json(sandbox.ledger.snapshot());
+  });
+}
+
+// === PAYMENT SETTLEMENT ===
+// Trans fee, SUNO buy, split and registration for one verified payment. Runs as a
+// single treasury op so concurrent payments can't interleave their buys and splits.
+// Returns { response } instead when the payment ended in a refund or a retry.
+async function settlePayment(terms) {
+  const { reference, userId, userKey, senderWallet, transFee, remainingSOL } = terms;
+  const lang = userLanguage(userKey);
+  const referral = findReferral(userKey, senderWallet);
+
+  // === SEND TRANS FEE ===
+  // In "fee" mode the referrer's share is held back here and paid once the entry is
+  // registered; every other outcome sends it on to the fee wallet (releaseReferralShare)
+  const referralSOL = referral && REFERRAL_REWARD === "fee" ? transFee * REFERRAL_FEE_SHARE : 0;
+  const feeSOL = transFee - referralSOL;
+  console.log("💸 Sending trans fee...");
+  const feePayout = await sendSOLPayout(TRANS_FEE_WALLET.toBase58(), feeSOL, "Trans fee", { reference });
+  if (feePayout?.status === "confirmed") {
+    console.log("✅ Trans fee sent successfully");
+  } else {
+    console.error(`❌ Trans fee not confirmed yet (payout #${feePayout?.id}) - retry worker will handle it`);
+  }
+
+  // === BUY SUNO WITH ALL REMAINING SOL ===
+  let totalSUNO = 0;
+  console.log("\n🪙 Starting SUNO purchase with ALL remaining SOL...");
   
   try {
-    const { signature, reference, userId, amount, senderWallet } = req.body;
-    
-    // === VALIDATION ===
-    console.log("🔍 Validating parameters...");
-    if (!userId || !reference || !senderWallet) {
-      console.log("❌ MISSING PARAMETERS!");
-      console.warn("⚠️ Missing params:", req.body);
-      return res.status(400).json({ error: "Missing required fields" });
+    const purchase = await buySUNOOnMarket(remainingSOL);
+    totalSUNO = purchase.sunoAmount;
+    updatePayment(reference, { buySignature: purchase.signature, buyProvider: purchase.provider, sunoBought: totalSUNO });
+    console.log(`\n✅ SUNO purchase SUCCESS: ${totalSUNO.toLocaleString()} SUNO tokens received`);
+  } catch (err) {
+    if (err instanceof BuyUnresolvedError) {
+      console.error(`\n⏳ SUNO purchase UNRESOLVED: ${err.message} - parked for the unresolved buy worker`);
+      updatePayment(reference, { status: "buy_unresolved", buySignature: err.signature, referralSol: referralSOL, unresolvedAt: Date.now() });
+      telegram.sendMessage(userId, t(lang, "payment.buy_unresolved"));
+      return { response: { ok: false, error: "SUNO purchase pending", code: "BUY_UNRESOLVED" } };
     }
+    console.error(`\n❌ SUNO purchase FAILED: ${err.message}`);
+    console.error(err.stack);
+  }
+
+  return completeSettlement(terms, totalSUNO, { referral, referralSOL });
+}
+
+// Refund-or-split for SUNO already bought into the treasury, then registration
+async function completeSettlement(terms, totalSUNO, { referral, referralSOL }) {
+  const { reference, userId, userKey, senderWallet, amountNum, tier, retention, multiplier } = terms;
+  const lang = userLanguage(userKey);
+
+  // === CHECK IF PURCHASE WAS SUCCESSFUL ===
+  if (totalSUNO === 0 || !totalSUNO) {
+    console.log("⚠️ SUNO purchase returned 0 tokens - refunding user");
     
-    // Validate amount is reasonable
-    const amountNum = parseFloat(amount);
-    if (isNaN(amountNum) || amountNum < 0.001 || amountNum > 100) {
-      console.log("❌ INVALID AMOUNT:", amount);
-      return res.status(400).json({ error: "Invalid amount (must be 0.001-100 SOL)" });
-    }
+    const refundSOL = amountNum * REFUND_SHARE;
     
-    // Validate wallet address
-    try {
-      new PublicKey(senderWallet);
-    } catch (e) {
-      console.log("❌ INVALID WALLET:", senderWallet);
-      return res.status(400).json({ error: "Invalid wallet address" });
-    }
+    telegram.sendMessage(userId, t(lang, "payment.purchase_failed", { amount: amountNum, refund: refundSOL.toFixed(4) }));
     
-    console.log("✅ Parameters validated!");
+    const refund = await refundPayment({
+      userId: userKey,
+      wallet: senderWallet,
+      reference,
+      asset: "SOL",
+      amount: refundSOL,
+      reason: "SUNO purchase failed"
+    });
+    
+    await releaseReferralShare(reference, referralSOL);
+    
+    console.log("✅ Refund initiated - returning error to client\n");
+    return { response: { ok: false, error: "SUNO purchase failed", refundPayoutId: refund?.id, sunoAmount: 0 } };
+  }
 
-    const userKey = String(userId);
+  // === SPLIT SUNO TOKENS ===
+  const userSUNO = Math.floor(totalSUNO * retention);
+  const referralSUNO = referral && REFERRAL_REWARD === "suno"
+    ? Math.min(Math.floor(totalSUNO * REFERRAL_SUNO_SHARE), totalSUNO - userSUNO)
+    : 0;
+  const competitionSUNO = totalSUNO - userSUNO - referralSUNO;
+  
+  console.log(`\n💎 ========== SUNO TOKEN SPLIT ==========`);
+  console.log(`🪙 Total SUNO bought: ${totalSUNO.toLocaleString()}`);
+  console.log(`👤 User gets: ${userSUNO.toLocaleString()} SUNO (${(retention * 100).toFixed(0)}%)`);
+  if (referralSUNO) console.log(`🤝 Referrer gets: ${referralSUNO.toLocaleString()} SUNO (${formatShare(REFERRAL_SUNO_SHARE)})`);
+  console.log(`🏆 Competition pool: ${competitionSUNO.toLocaleString()} SUNO`);
+  console.log(`========================================\n`);
+
+  // === TRANSFER USER'S PORTION ===
+  console.log(`📤 Transferring ${userSUNO.toLocaleString()} SUNO to user...`);
+  const userPayout = await sendSUNOPayout(senderWallet, userSUNO, "User purchase", { userId: userKey, reference });
+  
+  // A definitively failed transfer is replaced by a refund (per TRANSFER_FAILURE_REFUND policy)
+  if (userPayout?.status === "failed" && cancelPayout(userPayout, "Replaced by refund")) {
+    console.error(`❌ Transfer failed (payout #${userPayout.id}) - refunding ${TRANSFER_FAILURE_REFUND.toUpperCase()}`);
     
-    console.log(`\n💳 ========== PAYMENT RECEIVED ==========`);
-    console.log(`💰 Amount: ${amountNum} SOL`);
-    console.log(`👤 User: ${userKey}`);
+    const refundAsset = TRANSFER_FAILURE_REFUND === "suno" ? "SUNO" : "SOL";
+    const refundAmount = refundAsset === "SUNO" ? totalSUNO : amountNum * REFUND_SHARE;
+    
+    // On a SOL refund the bought SUNO stays in the treasury
+    if (refundAsset === "SOL") {
+      actualTreasuryBalance += totalSUNO;
+    }
+    
+    telegram.sendMessage(userId, t(lang, "payment.transfer_failed", {
+      refund: refundAsset === "SUNO" ? `${refundAmount.toLocaleString()} SUNO` : `${refundAmount.toFixed(4)} SOL`
+    }));
+    
+    const refund = await refundPayment({
+      userId: userKey,
+      wallet: senderWallet,
+      reference,
+      asset: refundAsset,
+      amount: refundAmount,
+      reason: "Transfer failed"
+    });
+    await releaseReferralShare(reference, referralSOL);
+    return { response: { ok: false, error: "Transfer failed", refundPayoutId: refund?.id, sunoAmount: 0 } };
+  }
+  
+  // Anything short of that is left to the retry worker; the entry is registered regardless
+  const transferPending = userPayout?.status !== "confirmed";
+  if (transferPending) {
+    console.error(`❌ Transfer not confirmed (payout #${userPayout?.id}) - queued for retry, registering the entry anyway`);
+    if (userPayout) {
+      userPayout.notify = t(lang, "payment.transfer_landed", { amount: userSUNO.toLocaleString() });
+      savePayout(userPayout);
+    }
+  } else {
+    console.log(`✅ ${userSUNO.toLocaleString()} SUNO → ${senderWallet.substring(0, 8)}...`);
+  }
+
+  // === SPLIT COMPETITION POOL ===
+  // ROUND_POOL_SHARE goes to round prize pool (gets distributed)
+  // The rest goes to permanent treasury (saved, only used for bonus)
+  const roundPool = Math.floor(competitionSUNO * ROUND_POOL_SHARE);
+  const permanentTreasury = competitionSUNO - roundPool;
+  
+  treasurySUNO += roundPool;
+  actualTreasuryBalance += permanentTreasury;
+  
+  console.log(`\n🏦 Pool Distribution:`);
+  console.log(`   Round Pool: +${roundPool.toLocaleString()} SUNO (${formatShare(ROUND_POOL_SHARE)}) → Total: ${treasurySUNO.toLocaleString()} SUNO`);
+  console.log(`   Permanent Treasury: +${permanentTreasury.toLocaleString()} SUNO (${formatShare(1 - ROUND_POOL_SHARE)}) → Total: ${actualTreasuryBalance.toLocaleString()} SUNO`);
+  console.log(`   Bonus Prize Available: ${calculateTreasuryBonus().toLocaleString()} SUNO (${(getTreasuryBonusPercentage(actualTreasuryBalance) * 100).toFixed(0)}%)`);
+
+  // === SAVE USER DATA ===
+  const userData = {
+    userId: userKey,
+    wallet: senderWallet,
+    amount: amountNum,
+    sunoReceived: userSUNO,
+    tier: tier.name,
+    tierBadge: tier.badge,
+    retention: (retention * 100).toFixed(0) + "%",
+    multiplier,
+    paid: true,
+    timestamp: Date.now()
+  };
+
+  // === REGISTER USER BASED ON PRE-SELECTED CHOICE ===
+  const payment = getPayment(reference);
+  const userChoice = payment?.choice || "vote"; // Default to vote if somehow missing
+  const registeredAs = userChoice === "story" && payment.story ? "story" : "vote";
+
+  // Entry, paid flag, split and pool totals are written in one transaction
+  withTransaction(() => {
+    insertEntry({
+      ...userData,
+      roundId: currentRoundId,
+      reference,
+      choice: registeredAs,
+      user: registeredAs === "story" ? payment.user : null,
+      story: registeredAs === "story" ? payment.story : null,
+      track: registeredAs === "story" ? payment.track : null,
+      trackDuration: registeredAs === "story" ? payment.trackDuration : null,
+      moderation: registeredAs === "story" && REVIEW_ENABLED ? "pending" : null
+    });
+    updatePayment(reference, {
+      paid: true,
+      status: "paid",
+      sunoUser: userSUNO,
+      sunoRoundPool: roundPool,
+      sunoTreasury: permanentTreasury
+    });
+    recordPlayerPayment(userKey, {
+      roundId: currentRoundId,
+      choice: registeredAs,
+      amount: amountNum,
+      sunoReceived: userSUNO,
+      tier: tier.name,
+      tierBadge: tier.badge,
+      wallet: senderWallet
+    });
+    confirmReferral(userKey);
+    saveState();
+  });
+
+  if (referral && referralSOL) await payReferralReward(referral, { referredId: userKey, reference, asset: "SOL", amount: referralSOL });
+  else await releaseReferralShare(reference, referralSOL);
+  if (referralSUNO) await payReferralReward(referral, { referredId: userKey, reference, asset: "SUNO", amount: referralSUNO });
+
+  return { userSUNO, roundPool, payment, userChoice, transferPending, transferPayoutId: userPayout?.id };
+}
+
+// === PAYMENT CONFIRMATION ===
+app.post("/confirm-payment", paymentLimiter, async (req, res) => {
+  console.log("\n==============================================");
+  console.log("🔔 /confirm-payment ENDPOINT HIT!");
+  console.log("📦 Request body:", JSON.stringify(req.body, null, 2));
+  console.log("==============================================\n");
+  
+  try {
+    const { signature, reference, userId, amount, senderWallet } = req.body;
+    
+    // === VALIDATION ===
+    console.log("🔍 Validating parameters...");
+    if (!signature || !userId || !reference || !senderWallet) {
+      console.log("❌ MISSING PARAMETERS!");
+      console.warn("⚠️ Missing params:", req.body);
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+    
+    // Validate amount is reasonable
+    const amountNum = parseFloat(amount);
+    const { minSOL, maxSOL } = config.payments;
+    if (isNaN(amountNum) || amountNum < minSOL || amountNum > maxSOL) {
+      console.log("❌ INVALID AMOUNT:", amount);
+      return res.status(400).json({ error: `Invalid amount (must be ${minSOL}-${maxSOL} SOL)` });
+    }
+    
+    // Validate wallet address
+    try {
+      new PublicKey(senderWallet);
+    } catch (e) {
+      console.log("❌ INVALID WALLET:", senderWallet);
+      return res.status(400).json({ error: "Invalid wallet address" });
+    }
+    
+    // Validate reference and signature format
+    try {
+      new PublicKey(reference);
+    } catch (e) {
+      console.log("❌ INVALID REFERENCE:", reference);
+      return res.status(400).json({ error: "Invalid reference", code: "INVALID_REFERENCE" });
+    }
+    
+    let signatureBytes = null;
+    try {
+      signatureBytes = bs58.decode(signature);
+    } catch (e) {}
+    if (!signatureBytes || signatureBytes.length !== 64) {
+      console.log("❌ INVALID SIGNATURE:", signature);
+      return res.status(400).json({ error: "Invalid transaction signature", code: "INVALID_SIGNATURE" });
+    }
+    
+    console.log("✅ Parameters validated!");
+
+    const userKey = String(userId);
+    
+    console.log(`\n💳 ========== PAYMENT RECEIVED ==========`);
+    console.log(`💰 Amount: ${amountNum} SOL`);
+    console.log(`👤 User: ${userKey}`);
     console.log(`👛 Wallet: ${senderWallet.substring(0, 8)}...`);
     console.log(`📝 Reference: ${reference.substring(0, 8)}...`);
     console.log(`=====================================\n`);
 
     // Check for duplicates
-    let existing = pendingPayments.find((p) => p.reference === reference);
+    const existing = getPayment(reference);
     if (existing && existing.confirmed) {
       console.log("⚠️ Payment already processed - returning success");
       return res.json({ ok: true, message: "Already processed" });
     }
 
+    // === VERIFY PAYMENT ON-CHAIN ===
+    // Claiming is atomic, so concurrent requests for one signature can't both pass
+    if (!claimSignature(signature, reference)) {
+      console.log("❌ SIGNATURE ALREADY USED:", signature);
+      return res.status(409).json({ error: "Transaction signature already used", code: "SIGNATURE_ALREADY_USED" });
+    }
+
+    try {
+      await verifyPaymentOnChain({ signature, senderWallet, reference, amountSOL: amountNum });
+    } catch (err) {
+      releaseSignature(signature);
+      if (err instanceof PaymentVerificationError) {
+        console.log(`❌ PAYMENT VERIFICATION FAILED [${err.code}]: ${err.message}`);
+        return res.status(400).json({ error: err.message, code: err.code });
+      }
+      console.error(`❌ Payment verification error: ${err.message}`);
+      return res.status(502).json({ error: "Could not verify payment, try again later", code: "VERIFICATION_UNAVAILABLE" });
+    }
+
     if (existing) {
-      existing.confirmed = true;
+      updatePayment(reference, { confirmed: true, signature, amount: amountNum, wallet: senderWallet });
     } else {
-      pendingPayments.push({
-        userId: userKey,
+      insertPayment({
         reference,
+        roundId: currentRoundId,
+        userId: userKey,
+        signature,
+        amount: amountNum,
+        wallet: senderWallet,
         confirmed: true,
+        createdAt: Date.now()
       });
     }
 
     // === PAYMENT SPLIT ===
     console.log("💰 Calculating payment split...");
-    const transFee = amountNum * 0.10;
-    const remainingSOL = amountNum * 0.90;
-    
-    const tier = getTier(amountNum);
-    let retention = tier.retention;
-    let multiplier = tier.multiplier;
+    const transFee = amountNum * TRANS_FEE_SHARE;
+    const remainingSOL = amountNum - transFee;
     
-    if (tier === TIERS.WHALE) {
-      retention = getWhaleRetention(amountNum);
-      multiplier = getWhaleMultiplier(amountNum);
-    }
+    const { tier, retention, multiplier } = getTierTerms(amountNum);
     
     console.log(`\n💰 ========== PAYMENT SPLIT ==========`);
-    console.log(`🏦 Trans Fee (10%): ${transFee.toFixed(4)} SOL → Fee wallet`);
+    console.log(`🏦 Trans Fee (${formatShare(TRANS_FEE_SHARE)}): ${transFee.toFixed(4)} SOL → Fee wallet`);
     console.log(`💎 Buy SUNO with: ${remainingSOL.toFixed(4)} SOL`);
     console.log(`📊 Then split SUNO tokens:`);
     console.log(`   👤 User gets: ${(retention * 100).toFixed(0)}% of SUNO`);
@@ -756,565 +2156,1526 @@ app.post("/confirm-payment", paymentLimiter, async (req, res) => {
     console.log(`${tier.badge} Tier: ${tier.name} | ${multiplier}x multiplier`);
     console.log(`=====================================\n`);
 
-    // === SEND TRANS FEE ===
-    console.log("💸 Sending trans fee...");
-    try {
-      await sendSOLPayout(TRANS_FEE_WALLET.toBase58(), transFee, "Trans fee");
-      transFeeCollected += transFee;
-      console.log("✅ Trans fee sent successfully");
-    } catch (err) {
-      console.error(`❌ Trans fee failed: ${err.message}`);
-    }
+    const settlement = await runTreasuryOp(
+      `Payment ${reference.substring(0, 8)}...`,
+      () => settlePayment({ reference, userId, userKey, senderWallet, amountNum, transFee, remainingSOL, tier, retention, multiplier }),
+      reference
+    );
+    if (settlement.response) return res.json(settlement.response);
 
-    // === BUY SUNO WITH ALL REMAINING SOL ===
-    let totalSUNO = 0;
-    console.log("\n🪙 Starting SUNO purchase with ALL remaining SOL...");
-    
-    // Get treasury balance BEFORE purchase
-    let balanceBefore = 0;
-    try {
-      const treasuryTokenAccount = await getAssociatedTokenAddress(
-        TOKEN_MINT,
-        TREASURY_KEYPAIR.publicKey
-      );
-      const beforeBalance = await connection.getTokenAccountBalance(treasuryTokenAccount);
-      balanceBefore = Math.floor(parseFloat(beforeBalance.value.uiAmount || 0));
-      console.log(`📊 Treasury balance BEFORE: ${balanceBefore.toLocaleString()} SUNO`);
-    } catch (e) {
-      console.log(`📊 Treasury balance BEFORE: 0 SUNO (account doesn't exist yet)`);
-      balanceBefore = 0;
-    }
-    
-    try {
-      await buySUNOOnMarket(remainingSOL); // Execute purchase
+    announcePaidEntry(userId, { tier, retention, multiplier }, settlement);
+
+    console.log("✅ Payment processing complete - returning success to client\n");
+    res.json({
+      ok: true,
+      sunoAmount: settlement.userSUNO,
+      ...(settlement.transferPending && { transferPending: true, payoutId: settlement.transferPayoutId })
+    });
+  } catch (err) {
+    console.error(`\n💥 FATAL ERROR in confirm-payment: ${err.message}`);
+    console.error(err.stack);
+    res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// Tells the player how their entry went and posts it to both channels
+function announcePaidEntry(userId, { tier, retention, multiplier }, settlement) {
+  const { userSUNO, roundPool, payment, userChoice, transferPending } = settlement;
+  const lang = userLanguage(userId);
+  const summary = t(lang, transferPending ? "payment.summary_delayed" : "payment.summary", {
+    suno: userSUNO.toLocaleString(),
+    badge: tier.badge,
+    tier: tierName(lang, { tier: tier.name }),
+    retention: (retention * 100).toFixed(0),
+    multiplier
+  });
+
+  // Calculate time until voting
+  let timeUntilVote = "";
+  if (cycleStartTime && phase === "submission") {
+    const submissionEndTime = cycleStartTime + SUBMISSION_DURATION;
+    const timeLeft = Math.max(0, submissionEndTime - Date.now());
+    timeUntilVote = t(lang, "payment.voting_starts_in", { count: Math.ceil(timeLeft / 60000) });
+  }
+
+  if (userChoice === "story") {
+    // Register as story submitter
+    if (!payment.story) {
+      console.log("⚠️ User chose story but didn't send text - defaulting to vote");
       
-      // Get treasury balance AFTER purchase
-      const treasuryTokenAccount = await getAssociatedTokenAddress(
-        TOKEN_MINT,
-        TREASURY_KEYPAIR.publicKey
+      telegram.sendMessage(userId, t(lang, "payment.no_entry", { summary, noun: entryNoun(lang) }));
+    } else {
+      const reviewNote = REVIEW_ENABLED ? t(lang, "moderation.review_note") : "";
+      telegram.sendMessage(
+        userId,
+        t(lang, `payment.entered_${config.round.competition}`, { summary, review: reviewNote, timeLeft: timeUntilVote })
       );
-      await new Promise(r => setTimeout(r, 2000)); // Wait for balance update
-      const afterBalance = await connection.getTokenAccountBalance(treasuryTokenAccount);
-      const balanceAfter = Math.floor(parseFloat(afterBalance.value.uiAmount || 0));
-      console.log(`📊 Treasury balance AFTER: ${balanceAfter.toLocaleString()} SUNO`);
-      
-      // Calculate actual tokens received
-      totalSUNO = balanceAfter - balanceBefore;
-      console.log(`\n✅ SUNO purchase SUCCESS: ${totalSUNO.toLocaleString()} SUNO tokens received`);
-    } catch (err) {
-      console.error(`\n❌ SUNO purchase FAILED: ${err.message}`);
-      console.error(err.stack);
-    }
 
-    // === CHECK IF PURCHASE WAS SUCCESSFUL ===
-    if (totalSUNO === 0 || !totalSUNO) {
-      console.log("⚠️ SUNO purchase returned 0 tokens - notifying user of failure");
-      
-      try {
-        await bot.sendMessage(
-          userId,
-          `❌ Purchase Failed!\n\n⚠️ We received your ${amountNum} SOL payment, but the SUNO token purchase failed.\n\n🔄 Please contact support or try again.\n\nError: Token purchase returned 0 tokens.`
-        );
-      } catch (e) {
-        console.error("⚠️ Failed to send error message:", e.message);
+      if (REVIEW_ENABLED) {
+        const entry = getEntry(currentRoundId, String(userId), "story");
+        if (entry) requestStoryReview(entry);
       }
       
-      console.log("✅ Error notification sent - returning error to client\n");
-      return res.json({ ok: false, error: "SUNO purchase failed", sunoAmount: 0 });
+      // Announce to both channels (promo posts wait behind everything else)
+      telegram.sendMessage(
+        `@${MAIN_CHANNEL}`,
+        t(MAIN_LANG, `announce.${config.round.competition}_main`, { amount: roundPool.toLocaleString(), user: payment.user, pool: treasurySUNO.toLocaleString() }),
+        {},
+        { priority: "low" }
+      );
+      telegram.sendMessage(
+        `@${CHANNEL}`,
+        t(CHANNEL_LANG, `announce.${config.round.competition}_submissions`, { amount: roundPool.toLocaleString(), user: payment.user, pool: treasurySUNO.toLocaleString() }),
+        {},
+        { priority: "low" }
+      );
     }
-
-    // === SPLIT SUNO TOKENS ===
-    const userSUNO = Math.floor(totalSUNO * retention);
-    const competitionSUNO = totalSUNO - userSUNO;
+  } else {
+    // Registered as voter
+    telegram.sendMessage(userId, t(lang, "payment.voter", { summary, timeLeft: timeUntilVote }));
     
-    console.log(`\n💎 ========== SUNO TOKEN SPLIT ==========`);
-    console.log(`🪙 Total SUNO bought: ${totalSUNO.toLocaleString()}`);
-    console.log(`👤 User gets: ${userSUNO.toLocaleString()} SUNO (${(retention * 100).toFixed(0)}%)`);
-    console.log(`🏆 Competition pool: ${competitionSUNO.toLocaleString()} SUNO (${((1 - retention) * 100).toFixed(0)}%)`);
-    console.log(`========================================\n`);
+    // Announce to both channels
+    telegram.sendMessage(
+      `@${MAIN_CHANNEL}`,
+      t(MAIN_LANG, "announce.voter_main", { amount: roundPool.toLocaleString(), pool: treasurySUNO.toLocaleString() }),
+      {},
+      { priority: "low" }
+    );
+    telegram.sendMessage(
+      `@${CHANNEL}`,
+      t(CHANNEL_LANG, "announce.voter_submissions", { amount: roundPool.toLocaleString(), pool: treasurySUNO.toLocaleString() }),
+      {},
+      { priority: "low" }
+    );
+  }
+}
 
-    // === TRANSFER USER'S PORTION ===
-    console.log(`📤 Transferring ${userSUNO.toLocaleString()} SUNO to user...`);
-    const transferSuccess = await transferTokensToRecipient(userSUNO, senderWallet);
-    
-    if (!transferSuccess) {
-      console.error("❌ Transfer failed!");
-      try {
-        await bot.sendMessage(
-          userId,
-          `❌ Transfer Failed!\n\n⚠️ SUNO purchase succeeded but transfer to your wallet failed.\n\nPlease contact support.`
-        );
-      } catch (e) {}
-      return res.json({ ok: false, error: "Transfer failed", sunoAmount: 0 });
-    }
+// === UNRESOLVED BUYS ===
+// Payments parked by BuyUnresolvedError. Once the buy lands the settlement is
+// finished (or the SUNO refunded if the round has moved on); a buy that failed,
+// or was never seen before its blockhash expired, is refunded in SOL.
+const BUY_EXPIRY = 5 * 60 * 1000; // Well past a blockhash's lifetime
+let buyWorkerRunning = false;
+
+async function resolveParkedBuy(reference) {
+  const payment = getPayment(reference);
+  if (payment?.status !== "buy_unresolved") return;
+
+  const { value: status } = await connection.getSignatureStatus(payment.buySignature, { searchTransactionHistory: true });
+  const landed = !status?.err && (status?.confirmationStatus === "confirmed" || status?.confirmationStatus === "finalized");
+  if (!landed && !status?.err && Date.now() - payment.unresolvedAt < BUY_EXPIRY) return;
+
+  const userKey = payment.userId;
+  const lang = userLanguage(userKey);
+  const terms = { reference, userId: userKey, userKey, senderWallet: payment.wallet, amountNum: payment.amount, ...getTierTerms(payment.amount) };
+
+  if (!landed) {
+    console.log(`↩️ Parked buy ${payment.buySignature.substring(0, 8)}... did not land - refunding ${reference.substring(0, 8)}...`);
+    telegram.sendMessage(userKey, t(lang, "payment.purchase_failed", { amount: payment.amount, refund: (payment.amount * REFUND_SHARE).toFixed(4) }));
+    await refundPayment({ userId: userKey, wallet: payment.wallet, reference, asset: "SOL", amount: payment.amount * REFUND_SHARE, reason: "SUNO purchase failed" });
+    await releaseReferralShare(reference, payment.referralSol);
+    return;
+  }
 
-    console.log(`✅ ${userSUNO.toLocaleString()} SUNO → ${senderWallet.substring(0, 8)}...`);
+  const totalSUNO = await getBoughtSUNO(payment.buySignature);
+  updatePayment(reference, { sunoBought: totalSUNO });
+  console.log(`✅ Parked buy ${payment.buySignature.substring(0, 8)}... landed: ${totalSUNO.toLocaleString()} SUNO`);
 
-    // === SPLIT COMPETITION POOL ===
-    // 65% goes to round prize pool (gets distributed)
-    // 35% goes to permanent treasury (saved, only used for bonus)
-    const roundPool = Math.floor(competitionSUNO * 0.65);
-    const permanentTreasury = competitionSUNO - roundPool;
-    
-    treasurySUNO += roundPool;
-    actualTreasuryBalance += permanentTreasury;
-    
-    console.log(`\n🏦 Pool Distribution:`);
-    console.log(`   Round Pool: +${roundPool.toLocaleString()} SUNO (65%) → Total: ${treasurySUNO.toLocaleString()} SUNO`);
-    console.log(`   Permanent Treasury: +${permanentTreasury.toLocaleString()} SUNO (35%) → Total: ${actualTreasuryBalance.toLocaleString()} SUNO`);
-    console.log(`   Bonus Prize Available: ${calculateTreasuryBonus().toLocaleString()} SUNO (${(getTreasuryBonusPercentage() * 100).toFixed(0)}%)`);
+  if (payment.roundId !== currentRoundId || phase !== "submission") {
+    console.log(`↩️ Round #${payment.roundId} is no longer taking entries - refunding the SUNO`);
+    telegram.sendMessage(userKey, t(lang, "payment.buy_too_late"));
+    await refundPayment({ userId: userKey, wallet: payment.wallet, reference, asset: "SUNO", amount: totalSUNO, reason: "Round closed before the buy landed" });
+    await releaseReferralShare(reference, payment.referralSol);
+    return;
+  }
 
-    // === SAVE USER DATA ===
-    const userData = {
-      userId: userKey,
-      wallet: senderWallet,
-      amount: amountNum,
-      sunoReceived: userSUNO,
-      tier: tier.name,
-      tierBadge: tier.badge,
-      retention: (retention * 100).toFixed(0) + "%",
-      multiplier,
-      paid: true,
-      timestamp: Date.now()
-    };
+  // A referrer who no longer qualifies leaves the held-back share to the fee wallet
+  const settlement = await completeSettlement(terms, totalSUNO, {
+    referral: findReferral(userKey, payment.wallet),
+    referralSOL: payment.referralSol || 0
+  });
+  if (!settlement.response) announcePaidEntry(userKey, terms, settlement);
+}
 
-    // === REGISTER USER BASED ON PRE-SELECTED CHOICE ===
-    const payment = pendingPayments.find(p => p.reference === reference);
-    const userChoice = payment?.choice || "vote"; // Default to vote if somehow missing
+async function processUnresolvedBuys() {
+  if (buyWorkerRunning) return;
+  buyWorkerRunning = true;
 
-    if (userChoice === "story") {
-      // Register as story submitter
-      if (!payment.story) {
-        console.log("⚠️ User chose story but didn't send text - defaulting to vote");
-        voters.push({
-          ...userData,
-          choice: "vote",
-          votedFor: null
-        });
-        
-        try {
-          await bot.sendMessage(
-            userId,
-            `✅ Payment complete!\n\n🪙 ${userSUNO.toLocaleString()} SUNO sent!\n${tier.badge} ${tier.name} tier (${(retention * 100).toFixed(0)}% retention)\n💰 ${multiplier}x prize multiplier\n\n⚠️ No story found - registered as voter.\n🗳️ Vote during voting phase to earn rewards!`
-          );
-        } catch (e) {
-          console.error("⚠️ DM error:", e.message);
-        }
-      } else {
-        participants.push({
-          ...userData,
-          choice: "story",
-          user: payment.user,
-          story: payment.story,
-          votes: 0,
-          voters: []
-        });
-        
-        // Calculate time until voting
-        const now = Date.now();
-        let timeUntilVote = "";
-        if (cycleStartTime && phase === "submission") {
-          const submissionEndTime = cycleStartTime + (5 * 60 * 1000);
-          const timeLeft = Math.max(0, submissionEndTime - now);
-          const minutesLeft = Math.ceil(timeLeft / 60000);
-          timeUntilVote = `\n⏰ Voting starts in ${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''}!`;
-        }
-        
-        try {
-          await bot.sendMessage(
-            userId,
-            `✅ Story entered!\n\n🪙 ${userSUNO.toLocaleString()} SUNO sent!\n${tier.badge} ${tier.name} tier (${(retention * 100).toFixed(0)}% retention)\n💰 ${multiplier}x prize multiplier\n\n📝 Your story is in the competition!${timeUntilVote}\n🍀 Good luck!`
-          );
-        } catch (e) {
-          console.error("⚠️ DM error:", e.message);
-        }
-        
-        // Announce to both channels
-        try {
-          await bot.sendMessage(
-            `@${MAIN_CHANNEL}`,
-            `💰 +${roundPool.toLocaleString()} SUNO added to prize pool!\n📝 ${payment.user} shared their story\n\n💎 Current Pool: ${treasurySUNO.toLocaleString()} SUNO`
-          );
-        } catch (e) {
-          console.error("⚠️ Main channel announcement error:", e.message);
-        }
-        
-        try {
-          await bot.sendMessage(
-            `@${CHANNEL}`,
-            `💰 +${roundPool.toLocaleString()} SUNO added!\n📝 ${payment.user} - New story submitted\n\n💎 Pool: ${treasurySUNO.toLocaleString()} SUNO`
-          );
-        } catch (e) {
-          console.error("⚠️ Submissions channel announcement error:", e.message);
-        }
-      }
-    } else {
-      // Register as voter
-      voters.push({
-        ...userData,
-        choice: "vote",
-        votedFor: null
-      });
-      
-      // Calculate time until voting
-      const now = Date.now();
-      let timeUntilVote = "";
-      if (cycleStartTime && phase === "submission") {
-        const submissionEndTime = cycleStartTime + (5 * 60 * 1000);
-        const timeLeft = Math.max(0, submissionEndTime - now);
-        const minutesLeft = Math.ceil(timeLeft / 60000);
-        timeUntilVote = `\n⏰ Voting starts in ${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''}!`;
-      }
-      
-      try {
-        await bot.sendMessage(
-          userId,
-          `✅ Registered as voter!\n\n🪙 ${userSUNO.toLocaleString()} SUNO sent!\n${tier.badge} ${tier.name} tier (${(retention * 100).toFixed(0)}% retention)\n💰 ${multiplier}x prize multiplier${timeUntilVote}\n\n🗳️ Vote during voting phase to earn rewards!`
-        );
-      } catch (e) {
-        console.error("⚠️ DM error:", e.message);
-      }
-      
-      // Announce to both channels
-      try {
-        await bot.sendMessage(
-          `@${MAIN_CHANNEL}`,
-          `💰 +${roundPool.toLocaleString()} SUNO added to prize pool!\n🗳️ New voter joined\n\n💎 Current Pool: ${treasurySUNO.toLocaleString()} SUNO`
-        );
-      } catch (e) {
-        console.error("⚠️ Main channel announcement error:", e.message);
-      }
-      
-      try {
-        await bot.sendMessage(
-          `@${CHANNEL}`,
-          `💰 +${roundPool.toLocaleString()} SUNO added!\n🗳️ Voter joined\n\n💎 Pool: ${treasurySUNO.toLocaleString()} SUNO`
-        );
-      } catch (e) {
-        console.error("⚠️ Submissions channel announcement error:", e.message);
-      }
+  try {
+    for (const { reference } of listUnresolvedBuys()) {
+      await runTreasuryOp(`Parked buy ${reference.substring(0, 8)}...`, () => resolveParkedBuy(reference), reference);
     }
+  } catch (err) {
+    console.error("⚠️ Unresolved buy worker error:", err.message);
+  } finally {
+    buyWorkerRunning = false;
+  }
+}
 
-    // Mark as paid
-    if (payment) {
-      payment.paid = true;
-      payment.userData = userData;
-    }
+setInterval(() => {
+  processUnresolvedBuys();
+}, 60 * 1000);
 
-    saveState();
+// === SOL PAYOUT (for trans fees) ===
+// Records the payout in the ledger and attempts it once; failures are retried by the worker.
+async function sendSOLPayout(destination, amountSOL, reason = "payout", options = {}) {
+  if (Math.floor(amountSOL * 1e9) <= 0) return null;
+  const entry = createPayout("SOL", destination, amountSOL, reason, options);
+  return executePayout(entry);
+}
 
-    console.log("✅ Payment processing complete - returning success to client\n");
-    res.json({ ok: true, sunoAmount: userSUNO });
-  } catch (err) {
-    console.error(`\n💥 FATAL ERROR in confirm-payment: ${err.message}`);
-    console.error(err.stack);
-    res.status(500).json({ error: "Internal error" });
+// === SUNO TOKEN PAYOUT ===
+async function sendSUNOPayout(destination, amountSUNO, reason = "payout", options = {}) {
+  if (amountSUNO <= 0) return null;
+  const entry = createPayout("SUNO", destination, amountSUNO, reason, options);
+  return executePayout(entry);
+}
+
+// === AUTOMATIC REFUNDS ===
+// Returns funds to the payer when their purchase can't be completed,
+// and records the refund against the payment reference.
+async function refundPayment(refund) {
+  const entry = recordRefund(refund);
+  return entry && executePayout(entry);
+}
+
+// Ledger entry and payment record only; the transfer is left to the caller
+// (or to the retry worker)
+function recordRefund({ userId, wallet, reference, asset, amount, reason }) {
+  if (asset === "SOL" ? Math.floor(amount * 1e9) <= 0 : amount <= 0) return null;
+  const amountText = asset === "SOL"
+    ? `${amount.toFixed(4)} SOL`
+    : `${amount.toLocaleString()} SUNO`;
+  console.log(`↩️ Refunding ${amountText} to ${wallet.substring(0, 8)}... (${reason})`);
+
+  const entry = createPayout(asset, wallet, amount, `Refund (${reason})`, {
+    userId,
+    reference,
+    notify: t(userLanguage(userId), "payment.refund_sent", { amount: amountText })
+  });
+
+  if (getPayment(reference)) {
+    updatePayment(reference, {
+      status: "refunded",
+      refundPayoutId: entry.id,
+      refundAsset: asset,
+      refundAmount: amount,
+      refundReason: reason
+    });
   }
-});
 
-// === SOL PAYOUT (for trans fees) ===
-async function sendSOLPayout(destination, amountSOL, reason = "payout") {
-  try {
-    const lamports = Math.floor(amountSOL * 1e9);
-    if (lamports <= 0) return;
-    
-    const tx = new Transaction().add(
-      SystemProgram.transfer({
-        fromPubkey: TREASURY_KEYPAIR.publicKey,
-        toPubkey: new PublicKey(destination),
-        lamports,
-      })
-    );
-    tx.feePayer = TREASURY_KEYPAIR.publicKey;
-    tx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
+  return entry;
+}
 
-    const sig = await connection.sendTransaction(tx, [TREASURY_KEYPAIR]);
-    await connection.confirmTransaction(sig, "confirmed");
-    console.log(`💸 ${reason}: ${amountSOL.toFixed(4)} SOL → ${destination.substring(0, 8)}...`);
-  } catch (err) {
-    console.error(`⚠️ ${reason} failed: ${err.message}`);
+// === REFERRALS ===
+// `/start ref_<userId>` records who brought a player in, until their first paid
+// entry makes it final. Every entry they pay afterwards earns the referrer a share
+// of the trans fee ("fee") or of the SUNO bought ("suno").
+const REFERRAL_REWARD = config.referrals.reward;
+const REFERRAL_FEE_SHARE = config.referrals.feeShare;
+const REFERRAL_SUNO_SHARE = config.referrals.sunoShare;
+
+function referralLink(userId) {
+  return `https://t.me/${BOT_USERNAME}?start=ref_${userId}`;
+}
+
+// Rewards go to the wallet the referrer last paid from, so referrers who never
+// played (or are banned, or are paying from the same wallet) earn nothing
+function findReferral(userId, senderWallet) {
+  if (REFERRAL_REWARD === "off") return null;
+  const referrerId = getUser(userId)?.referredBy;
+  if (!referrerId || isBanned(referrerId)) return null;
+  const wallet = getPlayerStats(referrerId)?.wallets.at(-1);
+  if (!wallet || wallet === senderWallet) return null;
+  return { referrerId, wallet };
+}
+
+// The fee-mode share held back from the trans fee goes to the fee wallet after
+// all when the payment doesn't end in a registered entry with a referrer to pay
+async function releaseReferralShare(reference, referralSOL) {
+  if (!referralSOL) return null;
+  return sendSOLPayout(TRANS_FEE_WALLET.toBase58(), referralSOL, "Trans fee", { key: `fee:${reference}:referral`, reference });
+}
+
+async function payReferralReward({ referrerId, wallet }, { referredId, reference, asset, amount }) {
+  const amountText = asset === "SOL"
+    ? `${amount.toFixed(4)} SOL`
+    : `${amount.toLocaleString()} SUNO`;
+  console.log(`🤝 Referral reward: ${amountText} → ${referrerId} (${wallet.substring(0, 8)}...)`);
+
+  const options = {
+    key: `referral:${reference}`,
+    userId: referrerId,
+    reference,
+    notify: t(userLanguage(referrerId), "referral.reward_dm", { amount: amountText })
+  };
+  const entry = asset === "SOL"
+    ? await sendSOLPayout(wallet, amount, "Referral reward", options)
+    : await sendSUNOPayout(wallet, amount, "Referral reward", options);
+
+  if (entry) {
+    insertReferralReward({ referrerId, referredId, reference, asset, amount, payoutId: entry.id, createdAt: Date.now() });
   }
+  return entry;
 }
 
-// === SUNO TOKEN PAYOUT ===
-async function sendSUNOPayout(destination, amountSUNO, reason = "payout") {
-  try {
-    console.log(`💸 ${reason}: ${amountSUNO.toLocaleString()} SUNO → ${destination.substring(0, 8)}...`);
-    
-    const success = await transferTokensToRecipient(amountSUNO, destination);
-    
-    if (!success) {
-      console.error(`⚠️ ${reason} failed!`);
+// === STORY MODERATION ===
+// Stories pass the automatic checks in moderation.js before payment. With
+// moderation.review on, every paid story is also sent to the moderators and
+// only approved stories are posted when voting starts; anything still
+// pending by then is rejected. A rejected payer gets back the SUNO their
+// entry added to the round pool and treasury, or stays in the round as a voter
+// (moderation.rejectedAction). The refund never covers the trans fee or the SOL
+// itself: that was spent on the buy, and the payer keeps the SUNO they were sent.
+const DUPLICATE_HISTORY = 1000; // Past stories compared against for near-duplicates
+
+// Telegram user IDs allowed to review stories (comma-separated), admins by default
+const MODERATOR_IDS = (process.env.MODERATOR_USER_IDS || "")
+  .split(",")
+  .map(id => id.trim())
+  .filter(Boolean);
+const REVIEWERS = MODERATOR_IDS.length ? MODERATOR_IDS : ADMIN_IDS;
+const REVIEW_ENABLED = config.moderation.review && REVIEWERS.length > 0;
+
+if (config.moderation.review && !REVIEW_ENABLED) {
+  console.warn("⚠️ moderation.review is on but no MODERATOR_USER_IDS or ADMIN_USER_IDS are set - stories go live unreviewed");
+}
+
+function isModerator(userId) {
+  return REVIEWERS.includes(String(userId));
+}
+
+// Moderator-facing labels; the player is told the reason from moderation.reject.*
+const REJECT_REASONS = {
+  spam: "it looks like spam or advertising",
+  offensive: "it contains offensive content",
+  duplicate: "it repeats another story",
+  rules: "it doesn't follow the story rules"
+};
+
+function requestStoryReview(entry) {
+  const text =
+    `🔎 Story review — Round #${entry.roundId}\n\n` +
+    `${entry.tierBadge} ${entry.user} (${entry.userId}) paid ${entry.amount} SOL\n\n` +
+    `${entry.track ? "🎵" : "📝"} "${entry.story}"`;
+  const reply_markup = {
+    inline_keyboard: [
+      [{ text: "✅ Approve", callback_data: `mod_approve_${entry.id}` }],
+      [
+        { text: "🚫 Spam", callback_data: `mod_reject_${entry.id}_spam` },
+        { text: "🚫 Offensive", callback_data: `mod_reject_${entry.id}_offensive` }
+      ],
+      [
+        { text: "🚫 Duplicate", callback_data: `mod_reject_${entry.id}_duplicate` },
+        { text: "🚫 Rules", callback_data: `mod_reject_${entry.id}_rules` }
+      ]
+    ]
+  };
+
+  for (const moderatorId of REVIEWERS) {
+    if (entry.track) telegram.sendAudio(moderatorId, entry.track, { caption: text, reply_markup });
+    else telegram.sendMessage(moderatorId, text, { reply_markup });
+  }
+}
+
+// Runs `decide` on a story still pending review, in one transaction.
+// Returns null if the story was already decided (e.g. by another moderator).
+// `anyState` also accepts stories that were approved or never reviewed (/remove).
+function settleModeration(entryId, decide, { anyState = false } = {}) {
+  return withTransaction(() => {
+    const entry = getEntryById(entryId);
+    const open = anyState
+      ? entry?.choice === "story" && entry.moderation !== "rejected"
+      : entry?.moderation === "pending";
+    if (!open) return null;
+    decide(entry);
+    return entry;
+  });
+}
+
+function approveStory(entryId, moderatorId) {
+  const entry = settleModeration(entryId, (pending) => {
+    updateEntry(pending.id, { moderation: "approved", moderatedBy: String(moderatorId) });
+  });
+  if (!entry) return null;
+  console.log(`✅ Story ${entryId} by ${entry.user} approved by ${moderatorId}`);
+
+  const lang = userLanguage(entry.userId);
+  telegram.sendMessage(entry.userId, t(lang, "moderation.approved", { noun: entryNoun(lang) }));
+  return entry;
+}
+
+// `reason` is a moderation.reject.* message key. The refund is recorded in the
+// ledger and sent in the background, so rejecting never waits on the chain.
+function rejectStory(entryId, reason, moderatorId = null, { anyState = false } = {}) {
+  let refundSUNO = 0;
+  const entry = settleModeration(entryId, (pending) => {
+    const payment = getPayment(pending.reference);
+    const roundShare = payment?.sunoRoundPool || 0;
+    const treasuryShare = payment?.sunoTreasury || 0;
+    refundSUNO = config.moderation.rejectedAction === "refund" ? roundShare + treasuryShare : 0;
+
+    updateEntry(pending.id, {
+      choice: refundSUNO > 0 ? "rejected" : "vote",
+      paid: refundSUNO === 0,
+      moderation: "rejected",
+      moderationReason: reason,
+      moderatedBy: moderatorId ? String(moderatorId) : null
+    });
+    recordStoryRejection(pending.userId, { roundId: pending.roundId, asVoter: refundSUNO === 0 });
+    if (refundSUNO > 0) {
+      treasurySUNO -= roundShare;
+      actualTreasuryBalance -= treasuryShare;
+      saveState();
+    }
+  }, { anyState });
+  if (!entry) return null;
+  console.log(`🚫 Story ${entryId} by ${entry.user} rejected${moderatorId ? ` by ${moderatorId}` : ""}: ${reason}`);
+
+  const lang = userLanguage(entry.userId);
+  telegram.sendMessage(
+    entry.userId,
+    t(lang, "moderation.rejected", { noun: entryNoun(lang), reason: t(lang, `moderation.reject.${reason}`) }) + "\n\n" +
+    (refundSUNO > 0
+      ? t(lang, "moderation.rejected_refund", { amount: refundSUNO.toLocaleString() })
+      : t(lang, "moderation.rejected_voter"))
+  );
+
+  if (refundSUNO > 0) {
+    const refund = recordRefund({
+      userId: entry.userId,
+      wallet: entry.wallet,
+      reference: entry.reference,
+      asset: "SUNO",
+      amount: refundSUNO,
+      reason: "Story rejected"
+    });
+    if (refund) {
+      executePayout(refund).catch(err => console.error(`❌ Refund for rejected story ${entryId} failed (retry worker will handle it):`, err.message));
     }
-    
-  } catch (err) {
-    console.error(`⚠️ ${reason} failed: ${err.message}`);
   }
+  return entry;
+}
+
+// === PHASE STATE MACHINE ===
+// Each round moves cooldown → submission → voting → payout, then the next round
+// starts in cooldown. Deadlines are persisted and a tick loop fires overdue
+// transitions, so restarts catch up instead of relying on in-memory timers.
+const PHASE_TRANSITIONS = {
+  cooldown: ["submission"],
+  submission: ["voting", "cooldown"],  // → cooldown when a round ends without stories
+  voting: ["payout"],
+  payout: ["cooldown"]
+};
+const PHASE_TICK = 1000;
+
+let paused = false;
+let pausedAt = null;
+let transitionRunning = false;
+
+// Moves to `next` and persists its deadline. Each round enters each phase once;
+// returns false if this round already did (duplicate or replayed transition).
+function enterPhase(next, deadline) {
+  if (!PHASE_TRANSITIONS[phase]?.includes(next)) {
+    console.error(`⚠️ Illegal phase transition ${phase} → ${next} (round #${currentRoundId})`);
+    return false;
+  }
+
+  return withTransaction(() => {
+    if (!markRoundStep(currentRoundId, next)) {
+      console.log(`⚠️ Round #${currentRoundId} already entered ${next} - skipping`);
+      return false;
+    }
+    phase = next;
+    nextPhaseTime = deadline;
+    saveState();
+    console.log(`🔀 Round #${currentRoundId} → ${next}`);
+    return true;
+  });
+}
+
+function getPhaseHandler() {
+  if (phase === "submission") return startVoting;
+  if (phase === "voting") return announceWinners;
+  if (phase === "payout") return announceWinners; // Resume an interrupted payout
+  return startNewCycle;
+}
+
+async function phaseTick() {
+  if (paused || transitionRunning) return;
+  if (phase !== "payout" && nextPhaseTime && Date.now() < nextPhaseTime) return;
+
+  transitionRunning = true;
+  try {
+    await getPhaseHandler()();
+  } catch (err) {
+    console.error(`❌ Phase transition failed (${phase}): ${err.message}`);
+    console.error(err.stack);
+  } finally {
+    transitionRunning = false;
+  }
+}
+
+function pauseGame() {
+  if (paused) return false;
+  paused = true;
+  pausedAt = Date.now();
+  saveState();
+  return true;
+}
+
+function resumeGame() {
+  if (!paused) return false;
+  const pausedFor = Date.now() - pausedAt;
+  paused = false;
+  pausedAt = null;
+
+  // Shift the phase clock by the paused time so countdowns stay accurate
+  if (cycleStartTime && phase === "submission") cycleStartTime += pausedFor;
+  if (nextPhaseTime) nextPhaseTime += pausedFor;
+  saveState();
+  return true;
+}
+
+// Admin skip: make the current deadline due now and run the transition
+function forcePhase() {
+  paused = false;
+  pausedAt = null;
+  nextPhaseTime = Date.now();
+  saveState();
+  return phaseTick();
+}
+
+// === START NEW CYCLE ===
+async function startNewCycle() {
+  console.log("🔄 Starting new cycle...");
+  
+  const startTime = Date.now();
+  if (!enterPhase("submission", startTime + SUBMISSION_DURATION)) return;
+  cycleStartTime = startTime;
+  updateRound(currentRoundId, { startedAt: cycleStartTime });
+  saveState();
+
+  // Only the seed hash is known now: the draw slot is fixed when voting starts
+  let commitment = null;
+  try {
+    commitment = commitBonusSeed(currentRoundId);
+  } catch (err) {
+    console.error("❌ Failed to commit bonus seed (retrying at voting):", err.message);
+  }
+  const commitmentText = commitment
+    ? t(MAIN_LANG, "round.commitment", { hash: commitment.bonusSeedHash })
+    : "";
+
+  const treasuryBonus = calculateTreasuryBonus();
+  
+  const bonusPrizeText = actualTreasuryBalance === 0
+    ? t(MAIN_LANG, "round.loading")
+    : t(MAIN_LANG, "round.bonus", { amount: treasuryBonus.toLocaleString(), chance: TREASURY_BONUS_CHANCE });
+  
+  console.log(`🎬 NEW CYCLE: Submission phase (${formatDuration(SUBMISSION_DURATION, "en")}), Round pool: ${treasurySUNO.toLocaleString()} SUNO, Bonus: ${treasuryBonus.toLocaleString()} SUNO`);
+  
+  telegram.sendMessage(
+    `@${MAIN_CHANNEL}`,
+    t(MAIN_LANG, "round.started", {
+      pool: t(MAIN_LANG, "round.loading"),
+      bonus: bonusPrizeText,
+      duration: formatDuration(SUBMISSION_DURATION, MAIN_LANG),
+      bot: `@${BOT_USERNAME}`,
+      compete: t(MAIN_LANG, `round.compete_${config.round.competition}`),
+      commitment: commitmentText
+    }),
+    {},
+    { priority: "low" }
+  );
+  console.log("✅ Queued cycle start for main channel");
+}
+
+// === VOTING ===
+// A round with no paid stories pays nothing: its pool and paid voters carry
+// over into the next round.
+function endEmptyRound() {
+  if (!endRound({}, { carryOver: true })) return;
+
+  telegram.sendMessage(
+    `@${MAIN_CHANNEL}`,
+    t(MAIN_LANG, "round.no_entries", {
+      noun: entryNoun(MAIN_LANG, 2),
+      pool: treasurySUNO.toLocaleString(),
+      duration: formatDuration(COOLDOWN_DURATION, MAIN_LANG)
+    })
+  );
+}
+
+async function startVoting() {
+  // Stories nobody reviewed in time don't go public
+  for (const entry of listEntries(currentRoundId, "story").filter(e => e.moderation === "pending")) {
+    rejectStory(entry.id, "unreviewed");
+  }
+
+  const storySubmitters = listEntries(currentRoundId, "story").filter((p) => p.paid);
+  console.log(`📋 Starting voting — Story submitters: ${storySubmitters.length}`);
+  
+  if (!storySubmitters.length) {
+    console.log("🚫 No stories this round");
+    endEmptyRound();
+    return;
+  }
+
+  const votingDuration = TRACK_MODE ? calculateVotingTime() : VOTING_DURATION;
+  if (!enterPhase("voting", Date.now() + votingDuration)) return;
+  updateRound(currentRoundId, { votingStartedAt: Date.now() });
+
+  // The seed is normally committed already; the slot follows the real deadline
+  let commitment = null;
+  try {
+    commitment = await commitBonusSlot(currentRoundId, nextPhaseTime);
+  } catch (err) {
+    console.error("❌ Failed to commit bonus draw - no bonus this round:", err.message);
+  }
+
+  const treasuryBonus = calculateTreasuryBonus();
+
+  telegram.sendMessage(
+    `@${MAIN_CHANNEL}`,
+    t(MAIN_LANG, "voting.started_main", {
+      icon: TRACK_MODE ? "🎵" : "📝",
+      count: storySubmitters.length,
+      noun: entryNoun(MAIN_LANG, storySubmitters.length),
+      duration: formatDuration(votingDuration, MAIN_LANG),
+      pool: treasurySUNO.toLocaleString(),
+      bonus: treasuryBonus.toLocaleString(),
+      chance: TREASURY_BONUS_CHANCE,
+      call: t(MAIN_LANG, `voting.call_${config.round.competition}_main`),
+      channel: CHANNEL,
+      prizeShare: formatShare(PRIZE_SHARE),
+      voterShare: formatShare(1 - PRIZE_SHARE),
+      drawSlot: commitment ? t(MAIN_LANG, "voting.draw_slot", { slot: commitment.bonusSlot }) : ""
+    })
+  );
+
+  telegram.sendMessage(
+    `@${CHANNEL}`,
+    t(CHANNEL_LANG, "voting.started_submissions", {
+      pool: treasurySUNO.toLocaleString(),
+      bonus: treasuryBonus.toLocaleString(),
+      chance: TREASURY_BONUS_CHANCE,
+      duration: formatDuration(votingDuration, CHANNEL_LANG),
+      call: t(CHANNEL_LANG, `voting.call_${config.round.competition}_submissions`),
+      rule: t(CHANNEL_LANG, VOTING_ELIGIBILITY === "paid" ? "voting.rule_paid" : "voting.rule_anyone"),
+      weighting: VOTING_MODE !== "equal"
+        ? t(CHANNEL_LANG, "voting.weighted", { label: t(CHANNEL_LANG, `voting.mode_label.${VOTING_MODE}`) })
+        : "",
+      places: PRIZE_WEIGHTS.length,
+      noun: entryNoun(CHANNEL_LANG, PRIZE_WEIGHTS.length)
+    })
+  );
+
+  // The send queue paces the posts for the channel's limit
+  for (const p of storySubmitters) {
+    postStoryMessage(p);
+  }
+  console.log(`✅ Queued ${storySubmitters.length} ${entryNoun("en", storySubmitters.length)}, voting for ${formatDuration(votingDuration, "en")}`);
+}
+
+// === VOTE TALLY EDITS ===
+// Votes don't edit the story message straight away: each message gets at most
+// one edit per TALLY_EDIT_INTERVAL, showing the count at the time it is sent.
+const TALLY_EDIT_INTERVAL = config.telegram.tallyEditSeconds * 1000;
+
+const tallyEdits = new Map(); // Entry id → { chatId, messageId, timer, editedAt }
+
+function scheduleTallyEdit(entry, chatId, messageId) {
+  const edit = tallyEdits.get(entry.id) || { chatId, messageId, timer: null, editedAt: 0 };
+  tallyEdits.set(entry.id, edit);
+  if (edit.timer) return; // The pending edit will pick up this vote too
+
+  const delay = Math.max(0, edit.editedAt + TALLY_EDIT_INTERVAL - Date.now());
+  edit.timer = setTimeout(() => sendTallyEdit(entry.id), delay);
+}
+
+function sendTallyEdit(entryId, queue) {
+  const edit = tallyEdits.get(entryId);
+  clearTimeout(edit.timer);
+  edit.timer = null;
+  edit.editedAt = Date.now();
+
+  const entry = getEntryById(entryId); // Latest count
+  if (entry) refreshStoryMessage(entry, edit.chatId, edit.messageId, queue);
+}
+
+// Pending edits are queued at high priority ahead of the results post, so the
+// final counts show before the winners are announced. An edit already waiting in
+// the send queue is overwritten with the final count rather than left behind it.
+function flushTallyEdits() {
+  for (const [entryId, edit] of tallyEdits) {
+    if (edit.timer || findQueuedEdit(String(edit.chatId), edit.messageId)) sendTallyEdit(entryId, { priority: "high" });
+  }
+  tallyEdits.clear();
+}
+
+// === ANNOUNCE WINNERS ===
+async function announceWinners() {
+  flushTallyEdits();
+
+  // Voting → payout happens once; a payout interrupted by a restart is resumed
+  if (phase === "voting") {
+    if (!enterPhase("payout", null)) return;
+  } else if (phase !== "payout") {
+    return;
+  }
+  
+  const roundId = currentRoundId;
+  console.log(`🏆 Announcing winners for round #${roundId}...`);
+  
+  const storySubmitters = listEntries(roundId, "story").filter((p) => p.paid);
+  
+  if (!storySubmitters.length) {
+    console.log("🚫 No stories");
+    endEmptyRound();
+    return;
+  }
+
+  // Draw the treasury bonus from the committed seed and slot. Until that slot
+  // is finalized the payout waits (the next tick retries).
+  let draw = null;
+  if (!hasRoundStep(roundId, "bonus_roll")) {
+    const round = getRound(roundId);
+    if (round.bonusSeedHash && round.bonusSlot != null) {
+      const block = await blockhashSource.getBlockhash(round.bonusSlot);
+      if (!block) {
+        console.log(`⏳ Waiting for slot ${round.bonusSlot} to finalize before the bonus draw`);
+        return;
+      }
+      draw = { block, ...drawTreasuryBonus(round.bonusSeed, block.blockhash, round.bonusChance) };
+    } else {
+      console.log(`⚠️ Round #${roundId} has no bonus commitment - skipping the bonus draw`);
+    }
+  }
+
+  // Persist the draw once per round, so a resumed payout can't re-roll or
+  // deduct the bonus twice
+  withTransaction(() => {
+    if (!markRoundStep(roundId, "bonus_roll")) return;
+    const hit = draw?.hit ?? false;
+    const amount = hit ? calculateTreasuryBonus() : 0;
+    if (hit) actualTreasuryBalance -= amount;  // Deduct from actual treasury
+    updateRound(roundId, {
+      bonusHit: hit,
+      bonusAmount: amount,
+      payoutStartedAt: Date.now(),
+      ...(draw && { bonusBlockSlot: draw.block.slot, bonusBlockhash: draw.block.blockhash, bonusRoll: draw.roll })
+    });
+    saveState();
+  });
+  const {
+    bonusHit: wonTreasuryBonus, bonusAmount: treasuryBonusAmount, bonusRoll, bonusChance, bonusSeed, bonusBlockhash
+  } = getRound(roundId);
+  
+  if (wonTreasuryBonus) {
+    console.log(`🎰 BONUS PRIZE HIT! Winner gets +${treasuryBonusAmount.toLocaleString()} SUNO!`);
+  }
+
+  const {
+    prizePool, voterPool, firstPlace, winners, winnerVoters, voterRewards,
+    tieBreak, ties, totalPrizes, totalVoterRewards, totalFromPool, leftover
+  } = computeRoundPayouts({
+    stories: storySubmitters,
+    voters: listEntries(roundId, "vote"),
+    roundPool: treasurySUNO,
+    prizeShare: PRIZE_SHARE,
+    prizeWeights: PRIZE_WEIGHTS,
+    bonusAmount: wonTreasuryBonus ? treasuryBonusAmount : 0,
+    tieBreak: TIE_BREAK,
+    // Random tie-breaks reuse the bonus draw inputs, so /verify covers them too
+    randomKey: bonusBlockhash ? `${bonusSeed}:${bonusBlockhash}` : null
+  });
+  
+  // Lifetime stats are credited once per round, even if the payout is resumed
+  withTransaction(() => {
+    if (!markRoundStep(roundId, "stats_recorded")) return;
+    for (const { place, entry: w, amount } of winners) {
+      if (amount > 0) recordPlayerPrize(w.userId, { roundId, place, amount });
+    }
+    for (const { entry: v, amount } of voterRewards) {
+      if (amount > 0) recordPlayerVoterReward(v.userId, amount);
+    }
+  });
+
+  // The results go to the submissions channel, so they use its language
+  let resultsMsg = t(CHANNEL_LANG, "results.header", { pool: prizePool.toLocaleString() });
+  
+  if (wonTreasuryBonus) {
+    resultsMsg += t(CHANNEL_LANG, "results.bonus_hit", { amount: treasuryBonusAmount.toLocaleString() });
+  }
+  
+  resultsMsg += `\n`;
+  
+  for (const { place, entry: w, bonus, amount: finalAmt, shared } of winners) {
+    updateEntry(w.id, { place, prize: finalAmt });
+    
+    resultsMsg += t(CHANNEL_LANG, "results.line", {
+      place,
+      shared: shared ? t(CHANNEL_LANG, "results.shared") : "",
+      badge: w.tierBadge,
+      user: w.user,
+      votes: formatVotesShort(w),
+      amount: finalAmt.toLocaleString(),
+      bonus: bonus ? t(CHANNEL_LANG, "results.line_bonus", { amount: bonus.toLocaleString() }) : ""
+    });
+    
+    if (w.wallet && finalAmt > 0) {
+      // Prize DM is sent by the ledger once the transfer is confirmed
+      const lang = userLanguage(w.userId);
+      const bonusMsg = bonus ? t(lang, "results.prize_dm_bonus", { amount: bonus.toLocaleString() }) : "";
+      await sendSUNOPayout(w.wallet, finalAmt, `Prize #${place}`, {
+        // Stories sharing a place each need their own payout key
+        key: shared ? `round:${roundId}:prize:${place}:${w.id}` : `round:${roundId}:prize:${place}`,
+        userId: w.userId,
+        roundId,
+        notify: t(lang, "results.prize_dm", { amount: finalAmt.toLocaleString(), bonus: bonusMsg })
+      });
+    }
+  }
+  
+  for (const tie of ties) {
+    resultsMsg += t(CHANNEL_LANG, "results.tie", {
+      place: tie.start + 1,
+      users: tie.entries.map(e => e.user).join(", "),
+      votes: formatVotesShort(tie.entries[0]),
+      label: t(CHANNEL_LANG, `results.tie_break.${tieBreak}`),
+      fallback: TIE_BREAK === "random" && tieBreak !== "random" ? t(CHANNEL_LANG, "results.tie_fallback") : "",
+      verify: tieBreak === "random" ? ` - /verify ${roundId}` : ""
+    });
+  }
+
+  if (voterRewards.length > 0) {
+    resultsMsg += t(CHANNEL_LANG, "results.voter_rewards", { pool: voterPool.toLocaleString() });
+    
+    for (const { entry: v, amount: share } of voterRewards) {
+      if (share > 0) {
+        await sendSUNOPayout(v.wallet, share, "Voter reward", {
+          key: `round:${roundId}:voter:${v.id}`,
+          userId: v.userId,
+          roundId,
+          notify: t(userLanguage(v.userId), "results.voter_dm", { amount: share.toLocaleString() })
+        });
+      }
+    }
+    
+    resultsMsg += t(CHANNEL_LANG, "results.voters_rewarded", { count: winnerVoters.length });
+  }
+
+  if (leftover.total > 0) {
+    resultsMsg += t(CHANNEL_LANG, `results.leftover_${ROUND_LEFTOVER}`, { amount: leftover.total.toLocaleString() });
+  }
+
+  resultsMsg += t(CHANNEL_LANG, "results.bonus_info", { chance: TREASURY_BONUS_CHANCE });
+  if (bonusRoll != null) {
+    resultsMsg += t(CHANNEL_LANG, "results.bonus_roll", { roll: bonusRoll, chance: bonusChance, round: roundId });
+  }
+
+  // Results are queued once even if the payout is resumed after a restart;
+  // the queue stores them, so they still go out after one
+  if (markRoundStep(roundId, "results_posted")) {
+    telegram.sendMessage(`@${CHANNEL}`, resultsMsg, {}, { priority: "high" });
+    telegram.sendMessage(
+      `@${MAIN_CHANNEL}`,
+      t(MAIN_LANG, "results.winner_main", {
+        count: firstPlace.length,
+        names: firstPlace.map(e => `${e.tierBadge} ${e.user}`).join(" & "),
+        amount: winners[0].amount.toLocaleString(),
+        bonus: wonTreasuryBonus ? t(MAIN_LANG, "results.winner_bonus", { amount: winners[0].bonus.toLocaleString() }) : "",
+        channel: CHANNEL,
+        duration: formatDuration(COOLDOWN_DURATION, MAIN_LANG)
+      }),
+      {},
+      { priority: "high" }
+    );
+  }
+
+  console.log(`💰 Distributed ${totalFromPool.toLocaleString()} of ${treasurySUNO.toLocaleString()} SUNO from round pool`);
+  if (leftover.total > 0) {
+    console.log(`♻️ Leftover ${leftover.total.toLocaleString()} SUNO (unfilled places ${leftover.unfilled.toLocaleString()}, unclaimed voter pool ${leftover.unclaimedVoterPool.toLocaleString()}, dust ${leftover.dust.toLocaleString()}) → ${ROUND_LEFTOVER}`);
+  }
+  if (wonTreasuryBonus) {
+    console.log(`🎰 Bonus prize paid: ${treasuryBonusAmount.toLocaleString()} SUNO from treasury`);
+  }
+  
+  endRound({
+    winnersPool: prizePool,
+    voterPool,
+    prizesPaid: totalPrizes,
+    voterRewardsPaid: totalVoterRewards,
+    leftover: leftover.total,
+    leftoverPolicy: ROUND_LEFTOVER,
+    tieBreak
+  });
+}
+
+// === TELEGRAM HANDLERS ===
+bot.onText(/\/start|play/i, async (msg) => {
+  const user = msg.from.username ? `@${msg.from.username}` : msg.from.first_name || "Unknown";
+  const userId = String(msg.from.id);
+  const lang = userLanguage(userId);
+
+  if (isBanned(userId)) {
+    await telegram.sendMessage(userId, t(lang, "start.banned"));
+    return;
+  }
+
+  // Referral deep link: only counts for players who haven't paid for an entry yet
+  const referrerId = msg.text.match(/^\/start(?:@\w+)?\s+ref_(\d+)$/i)?.[1];
+  if (referrerId && referrerId !== userId && !hasPaidEntry(userId) && setReferrer(userId, referrerId)) {
+    console.log(`🤝 ${user} (${userId}) referred by ${referrerId}`);
+  }
+
+  if (phase !== "submission") {
+    await telegram.sendMessage(userId, t(lang, "start.phase_active", { phase: t(lang, `phase.${phase}`) }));
+    return;
+  }
+
+  const now = Date.now();
+  let timeMessage = "";
+  
+  if (cycleStartTime) {
+    const submissionEndTime = cycleStartTime + SUBMISSION_DURATION;
+    const timeRemaining = Math.max(0, submissionEndTime - now);
+    timeMessage = t(lang, "start.time_left", { count: Math.ceil(timeRemaining / 60000) });
+  }
+
+  const treasuryBonus = calculateTreasuryBonus();
+
+  await telegram.sendMessage(
+    userId,
+    t(lang, "start.welcome", {
+      pool: treasurySUNO.toLocaleString(),
+      bonus: treasuryBonus.toLocaleString(),
+      chance: TREASURY_BONUS_CHANCE,
+      timeLeft: timeMessage
+    }),
+    {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: t(lang, `start.button_${config.round.competition}`), callback_data: `start_story_${userId}` }],
+          [{ text: t(lang, "start.button_vote"), callback_data: `start_vote_${userId}` }]
+        ]
+      }
+    }
+  );
+});
+
+// === ADMIN COMMANDS ===
+// Admin-only handler: ignores everyone else and records every action it runs
+function adminCommand(pattern, action, handler) {
+  bot.onText(pattern, async (msg, match) => {
+    if (!isAdmin(msg.from.id)) return;
+
+    const details = match.slice(1).filter(Boolean).join(" ") || null;
+    console.log(`🛠️ Admin ${msg.from.id}: /${action}${details ? ` ${details}` : ""}`);
+    logAdminAction(msg.from.id, action, details);
+
+    try {
+      await handler(msg, match);
+    } catch (err) {
+      console.error(`⚠️ Admin /${action} failed:`, err.message);
+      await telegram.sendMessage(msg.chat.id, `⚠️ /${action} failed: ${err.message}`);
+    }
+  });
+}
+
+function formatTimeLeft(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+adminCommand(/^\/pause(?:@\w+)?$/i, "pause", async (msg) => {
+  if (!pauseGame()) {
+    await telegram.sendMessage(msg.chat.id, "⚠️ Game is already paused.");
+    return;
+  }
+  await telegram.sendMessage(msg.chat.id, `⏸️ Paused during ${phase} phase (${formatTimeLeft(nextPhaseTime - pausedAt)} left on the timer).\n▶️ /resume to continue.`);
+});
+
+adminCommand(/^\/resume(?:@\w+)?$/i, "resume", async (msg) => {
+  if (!resumeGame()) {
+    await telegram.sendMessage(msg.chat.id, "⚠️ Game is not paused.");
+    return;
+  }
+  await telegram.sendMessage(msg.chat.id, `▶️ Resumed ${phase} phase (${formatTimeLeft(nextPhaseTime - Date.now())} left).`);
+});
+
+adminCommand(/^\/endsubmission(?:@\w+)?$/i, "endsubmission", async (msg) => {
+  if (phase !== "submission") {
+    await telegram.sendMessage(msg.chat.id, `⚠️ Not in submission phase (current: ${phase}).`);
+    return;
+  }
+  await telegram.sendMessage(msg.chat.id, "⏭️ Ending submission phase - starting voting now.");
+  await forcePhase();
+});
+
+adminCommand(/^\/endvoting(?:@\w+)?$/i, "endvoting", async (msg) => {
+  if (phase !== "voting") {
+    await telegram.sendMessage(msg.chat.id, `⚠️ Not in voting phase (current: ${phase}).`);
+    return;
+  }
+  await telegram.sendMessage(msg.chat.id, "⏭️ Ending voting phase - announcing winners now.");
+  await forcePhase();
+});
+
+adminCommand(/^\/remove(?:@\w+)?\s+(\d+)$/i, "remove", async (msg, match) => {
+  if (phase !== "submission") {
+    await telegram.sendMessage(msg.chat.id, "⚠️ Stories can only be removed before voting starts.");
+    return;
+  }
+
+  const entry = getEntry(currentRoundId, match[1], "story");
+  if (!entry) {
+    await telegram.sendMessage(msg.chat.id, `⚠️ No story from user ${match[1]} this round.`);
+    return;
+  }
+
+  // Same outcome as a moderator rejection: refund or voter, per moderation.rejectedAction
+  if (!rejectStory(entry.id, "removed", msg.from.id, { anyState: true })) {
+    await telegram.sendMessage(msg.chat.id, `⚠️ Story by ${entry.user} was already rejected.`);
+    return;
+  }
+  const outcome = getEntryById(entry.id).choice === "vote" ? "kept as a voter" : "pool SUNO refunded";
+  await telegram.sendMessage(msg.chat.id, `🗑️ Removed story by ${entry.user} (${entry.userId}) — ${outcome}.`);
+});
+
+adminCommand(/^\/ban(?:@\w+)?\s+(\d+)(?:\s+(.+))?$/i, "ban", async (msg, match) => {
+  banUser(match[1], msg.from.id, match[2] || null);
+  await telegram.sendMessage(msg.chat.id, `🚫 User ${match[1]} banned.${match[2] ? `\nReason: ${match[2]}` : ""}`);
+});
+
+adminCommand(/^\/unban(?:@\w+)?\s+(\d+)$/i, "unban", async (msg, match) => {
+  const removed = unbanUser(match[1]);
+  await telegram.sendMessage(msg.chat.id, removed ? `✅ User ${match[1]} unbanned.` : `⚠️ User ${match[1]} was not banned.`);
+});
+
+adminCommand(/^\/state(?:@\w+)?$/i, "state", async (msg) => {
+  const stories = listEntries(currentRoundId, "story");
+  const roundVoters = listEntries(currentRoundId, "vote");
+  const openPayments = listOpenPayments(currentRoundId);
+  const timeLeft = paused ? nextPhaseTime - pausedAt : nextPhaseTime - Date.now();
+
+  let text =
+    `🛠️ Round #${currentRoundId} — ${phase}${paused ? " (⏸️ PAUSED)" : ""}\n` +
+    `⏰ Next phase in: ${nextPhaseTime ? formatTimeLeft(timeLeft) : "-"}\n\n` +
+    `💰 Round pool: ${treasurySUNO.toLocaleString()} SUNO\n` +
+    `🏦 Treasury: ${actualTreasuryBalance.toLocaleString()} SUNO\n` +
+    `💸 Trans fees: ${transFeeCollected.toFixed(4)} SOL\n` +
+    `📒 Unconfirmed payouts: ${countPayouts(["pending", "sent", "failed"])}\n` +
+    `🪙 Unresolved buys: ${listUnresolvedBuys().length}\n` +
+    `📬 Telegram send queue: ${sendQueue.length}\n\n` +
+    `📝 Stories: ${stories.length} | 🗳️ Voters: ${roundVoters.length}\n` +
+    (REVIEW_ENABLED ? `🔎 Awaiting review: ${stories.filter(e => e.moderation === "pending").length}\n` : "") +
+    `⏳ Pending payments: ${openPayments.length}`;
+
+  for (const p of openPayments.slice(0, 15)) {
+    const age = formatTimeLeft(Date.now() - p.createdAt);
+    text += `\n• ${p.userId} ${p.choice}${p.story ? " ✍️" : ""}${p.confirmed ? " ✅ confirmed" : ""} (${age} ago)`;
+  }
+
+  await telegram.sendMessage(msg.chat.id, text);
+});
+
+// === ADMIN: PAYOUT LEDGER ===
+adminCommand(/^\/payouts(?:@\w+)?(?:\s+(all))?$/i, "payouts", async (msg, match) => {
+  const entries = match[1]
+    ? listPayouts(["pending", "sent", "failed"])
+    : getStuckPayouts();
+
+  if (!entries.length) {
+    await telegram.sendMessage(msg.chat.id, "✅ No stuck payouts.");
+    return;
+  }
+
+  const lines = entries.slice(-20).map(p =>
+    `#${p.id} [${p.status}] ${p.reason}: ${formatPayoutAmount(p)} → ${p.destination.substring(0, 8)}... ` +
+    `(${p.attempts} attempt${p.attempts !== 1 ? 's' : ''}${p.lastError ? `, ${p.lastError.substring(0, 60)}` : ''})`
+  );
+
+  await telegram.sendMessage(
+    msg.chat.id,
+    `📒 ${match[1] ? "Unconfirmed" : "Stuck"} payouts (${entries.length}):\n\n${lines.join("\n")}\n\n🔄 /retrypayout <id|all>`
+  );
+});
+
+adminCommand(/^\/retrypayout(?:@\w+)?\s+(\d+|all)$/i, "retrypayout", async (msg, match) => {
+  const entries = match[1].toLowerCase() === "all"
+    ? getStuckPayouts()
+    : [getPayout(Number(match[1]))].filter(Boolean);
+
+  if (!entries.length) {
+    await telegram.sendMessage(msg.chat.id, "⚠️ No matching payouts to replay.");
+    return;
+  }
+
+  await telegram.sendMessage(msg.chat.id, `🔄 Replaying ${entries.length} payout(s)...`);
+
+  const results = [];
+  for (const entry of entries) {
+    await replayPayout(entry);
+    results.push(`#${entry.id} → ${entry.status}`);
+  }
+
+  await telegram.sendMessage(msg.chat.id, `📒 Replay results:\n${results.join("\n")}`);
+});
+
+// === ADMIN: SEND FAILURES ===
+adminCommand(/^\/sendfailures(?:@\w+)?(?:\s+(clear))?$/i, "sendfailures", async (msg, match) => {
+  if (match[1]) {
+    const removed = deleteFailedMessages();
+    await telegram.sendMessage(msg.chat.id, `🧹 Cleared ${removed} dropped message(s).`);
+    return;
+  }
+
+  const failed = listOutgoingMessages("failed");
+  if (!failed.length) {
+    await telegram.sendMessage(msg.chat.id, "✅ No dropped Telegram messages.");
+    return;
+  }
+
+  const lines = failed.slice(-20).map(m =>
+    `#${m.id} ${m.method} → ${m.chatId} (${m.attempts} attempt${m.attempts !== 1 ? "s" : ""}${m.lastError ? `, ${m.lastError.substring(0, 60)}` : ""})`
+  );
+
+  await telegram.sendMessage(
+    msg.chat.id,
+    `📭 Dropped Telegram messages (${failed.length}):\n\n${lines.join("\n")}\n\n🧹 /sendfailures clear`
+  );
+});
+
+adminCommand(/^\/treasuryops(?:@\w+)?(?:\s+(\d+))?$/i, "treasuryops", async (msg, match) => {
+  const ops = listTreasuryOps(Math.min(Math.max(parseInt(match[1]) || 10, 1), 50));
+
+  if (!ops.length) {
+    await telegram.sendMessage(msg.chat.id, "🏦 No treasury operations recorded yet.");
+    return;
+  }
+
+  const lines = ops.map(op =>
+    `#${op.id} [${op.status}] ${op.label}` +
+    (op.finishedAt ? ` (${((op.finishedAt - op.startedAt) / 1000).toFixed(1)}s)` : "") +
+    (op.error ? ` — ${op.error.substring(0, 60)}` : "")
+  );
+
+  await telegram.sendMessage(msg.chat.id, `🏦 Recent treasury operations:\n\n${lines.join("\n")}`);
+});
+
+// === ROUND HISTORY ===
+bot.onText(/^\/history(?:@\w+)?(?:\s+(\d+))?$/i, async (msg, match) => {
+  const lang = userLanguage(msg.from.id);
+  const count = Math.min(Math.max(parseInt(match[1]) || 5, 1), 10);
+  const rounds = listRounds(count);
+
+  if (!rounds.length) {
+    await telegram.sendMessage(msg.chat.id, t(lang, "history.empty"));
+    return;
+  }
+
+  const blocks = rounds.map(r => {
+    const { stories } = getRoundArchive(r.id);
+    const ended = new Date(r.endedAt).toISOString().replace("T", " ").substring(0, 16);
+    let text = t(lang, "history.round", {
+      round: r.id,
+      ended,
+      pool: r.prizePool.toLocaleString(),
+      stories: r.storyCount,
+      voters: r.voterCount
+    });
+
+    const winners = stories.filter(e => e.place).slice(0, 3);
+    for (const e of winners) {
+      text += t(lang, "history.line", {
+        place: e.place,
+        badge: e.tierBadge,
+        user: e.user,
+        votes: formatVotesShort(e),
+        prize: (e.prize || 0).toLocaleString()
+      });
+    }
+    if (!winners.length) text += t(lang, "history.no_entries", { noun: entryNoun(lang, 2) });
+    if (r.bonusHit) text += t(lang, "history.bonus", { amount: r.bonusAmount.toLocaleString() });
+    if (r.leftover) {
+      const policy = r.leftoverPolicy === "treasury" ? "treasury" : "carryover";
+      text += t(lang, `history.leftover_${policy}`, { amount: r.leftover.toLocaleString() });
+    }
+    return text;
+  });
+
+  await telegram.sendMessage(msg.chat.id, blocks.join("\n\n"));
+});
+
+bot.onText(/^\/verify(?:@\w+)?(?:\s+(\d+))?$/i, async (msg, match) => {
+  const lang = userLanguage(msg.from.id);
+  if (!match[1]) {
+    await telegram.sendMessage(msg.chat.id, t(lang, "verify.usage"));
+    return;
+  }
+
+  const result = await verifyBonusDraw(parseInt(match[1]));
+  if (!result) {
+    await telegram.sendMessage(msg.chat.id, t(lang, "verify.not_found", { round: match[1] }));
+    return;
+  }
+  if (!result.seedHash) {
+    await telegram.sendMessage(msg.chat.id, t(lang, "verify.no_commitment", { round: result.roundId }));
+    return;
+  }
+
+  let text = t(lang, "verify.header", { round: result.roundId, hash: result.seedHash, slot: result.slot ?? t(lang, "verify.slot_unset") });
+  if (!result.drawn) {
+    text += t(lang, "verify.pending");
+  } else {
+    const { checks } = result;
+    const mark = (ok) => (ok === null ? "⚠️" : ok ? "✅" : "❌");
+    text +=
+      (result.blockSlot !== result.slot ? t(lang, "verify.first_block", { slot: result.blockSlot }) : "") +
+      t(lang, "verify.details", {
+        blockhash: result.blockhash,
+        seed: result.seed,
+        roll: result.roll,
+        chance: result.chance,
+        outcome: t(lang, result.hit ? "verify.hit" : "verify.miss"),
+        formula: result.formula
+      }) +
+      t(lang, "verify.seed_check", { mark: mark(checks.seedMatchesCommitment) }) +
+      t(lang, checks.blockhashMatchesChain === null ? "verify.chain_unchecked" : "verify.chain_check", { mark: mark(checks.blockhashMatchesChain) }) +
+      t(lang, "verify.roll_check", { mark: mark(checks.rollMatches) });
+
+    if (result.ties) {
+      text += t(lang, "verify.ties_header", { formula: result.tieFormula });
+      for (const tie of result.ties) {
+        text += t(lang, "verify.tie", {
+          place: tie.place,
+          order: tie.order.map(e => `${e.user} (${e.userId}, ${e.key.substring(0, 8)}…)`).join(" → ")
+        });
+      }
+      text += t(lang, "verify.tie_check", { mark: mark(checks.tieOrderMatches) });
+    }
+  }
+
+  await telegram.sendMessage(msg.chat.id, text);
+});
+
+// === PLAYER PROFILE ===
+const PROFILE_PRIZES = 5; // Most recent prizes listed
+
+// Sends `text` to the user's DMs. Asked in a group, the group gets a pointer to
+// the DM, or a nudge to open the bot when Telegram won't let it message them.
+async function replyPrivately(msg, text, options = {}) {
+  const userId = String(msg.from.id);
+  const sent = await telegram.sendMessage(userId, text, options);
+  if (msg.chat.type === "private") return sent;
+
+  const lang = userLanguage(userId);
+  await telegram.sendMessage(
+    msg.chat.id,
+    t(lang, sent ? "help.sent_dm" : "help.open_bot", { bot: BOT_USERNAME }),
+    { reply_to_message_id: msg.message_id }
+  );
+  return sent;
 }
 
-// === START NEW CYCLE ===
-async function startNewCycle() {
-  console.log("🔄 Starting new cycle...");
-  
-  phase = "submission";
-  cycleStartTime = Date.now();
-  nextPhaseTime = cycleStartTime + 5 * 60 * 1000;
-  saveState();
+// Always answered in a DM: the profile lists the player's wallets
+bot.onText(/^\/me(?:@\w+)?$/i, async (msg) => {
+  const userId = String(msg.from.id);
+  const lang = userLanguage(userId);
+  const stats = getPlayerStats(userId);
 
-  const botUsername = process.env.BOT_USERNAME || '@sunobattles_bot';
-  const treasuryBonus = calculateTreasuryBonus();
-  
-  const prizePoolText = treasurySUNO === 0 && actualTreasuryBalance === 0 ? "Loading..." : `${treasurySUNO.toLocaleString()} SUNO`;
-  const bonusPrizeText = actualTreasuryBalance === 0 ? "Loading..." : `+${treasuryBonus.toLocaleString()} SUNO (1/500)`;
-  
-  console.log(`🎬 NEW CYCLE: Submission phase (5 min), Round pool: ${treasurySUNO.toLocaleString()} SUNO, Bonus: ${treasuryBonus.toLocaleString()} SUNO`);
-  
-  try {
-    const botMention = botUsername.startsWith('@') ? botUsername : `@${botUsername}`;
-    
-    await bot.sendMessage(
-      `@${MAIN_CHANNEL}`,
-      `🎬 NEW ROUND STARTED!\n\n💰 Prize Pool: Loading...\n🎰 Bonus Prize: ${bonusPrizeText}\n⏰ 5 minutes to join!\n\n🎮 How to Play:\n1️⃣ Open ${botMention}\n2️⃣ Type /start\n3️⃣ Choose your path:\n   🎵 Upload track & compete for prizes\n   🗳️ Vote only & earn rewards\n4️⃣ Buy SUNO tokens (0.01 SOL minimum)\n5️⃣ Win SUNO prizes! 🏆\n\n🚀 Start now!`
-    );
-    console.log("✅ Posted cycle start to main channel");
-  } catch (err) {
-    console.error("❌ Failed to announce:", err.message);
+  if (!stats) {
+    await replyPrivately(msg, t(lang, "profile.empty"));
+    return;
   }
 
-  setTimeout(() => startVoting(), 5 * 60 * 1000);
-}
+  let text = t(lang, "profile.header");
+  text += t(lang, "profile.rounds", { stories: stats.storyRounds, votes: stats.voteRounds });
+  text += t(lang, "profile.paid", { sol: stats.solPaid.toFixed(4), suno: stats.sunoReceived.toLocaleString() });
 
-// === VOTING ===
-async function startVoting() {
-  console.log(`📋 Starting voting — Story submitters: ${participants.filter(p => p.choice === "story" && p.paid).length}`);
-  
-  const storySubmitters = participants.filter((p) => p.choice === "story" && p.paid);
-  
-  if (!storySubmitters.length) {
-    console.log("🚫 No stories this round");
-    
-    try {
-      await bot.sendMessage(
-        `@${MAIN_CHANNEL}`,
-        `⏰ No stories submitted this round.\n\n💰 ${treasurySUNO.toLocaleString()} SUNO carries over!\n\n🎮 New round starting in 1 minute...`
-      );
-    } catch {}
-    
-    phase = "cooldown";
-    saveState();
-    setTimeout(() => startNewCycle(), 60 * 1000);
-    return;
+  if (stats.prizes.length) {
+    text += t(lang, "profile.prizes", { count: stats.prizes.length, amount: stats.prizeSuno.toLocaleString() });
+    for (const prize of stats.prizes.slice(-PROFILE_PRIZES).reverse()) {
+      text += t(lang, "profile.prize_line", { place: prize.place, round: prize.roundId, amount: prize.amount.toLocaleString() });
+    }
+  } else {
+    text += t(lang, "profile.no_prizes");
+  }
+  if (stats.voterRewards) {
+    text += t(lang, "profile.voter_rewards", { count: stats.voterRewards, amount: stats.voterRewardSuno.toLocaleString() });
   }
 
-  phase = "voting";
-  // Fixed 5 minutes for story voting
-  const votingDuration = 5 * 60 * 1000;
-  const votingMinutes = 5;
-  nextPhaseTime = Date.now() + votingDuration;
-  saveState();
+  const current = stats.tiers.at(-1);
+  if (current) text += t(lang, "profile.tier", { badge: current.badge, tier: tierName(lang, current) });
+  if (stats.tiers.length > 1) {
+    text += t(lang, "profile.tier_history", { tiers: stats.tiers.map(e => `${e.badge} ${tierName(lang, e)}`).join(" → ") });
+  }
 
-  const treasuryBonus = calculateTreasuryBonus();
+  text += t(lang, "profile.wallets", { count: stats.wallets.length, wallets: stats.wallets.join("\n") });
 
-  try {
-    await bot.sendMessage(
-      `@${MAIN_CHANNEL}`,
-      `🗳️ VOTING STARTED!\n\n📝 ${storySubmitters.length} stor${storySubmitters.length !== 1 ? 'ies' : 'y'} competing\n⏰ ${votingMinutes} minutes to vote!\n\n💰 Prize Pool: ${treasurySUNO.toLocaleString()} SUNO\n🎰 Bonus Prize: +${treasuryBonus.toLocaleString()} SUNO (1/500)\n\n🔥 Read stories & vote for who needs help most!\n📍 Vote here: https://t.me/${CHANNEL}\n\n🏆 Winners get 80% of prize pool\n💰 Voters who pick the winner share 20%!`
-    );
-  } catch {}
+  await replyPrivately(msg, text);
+});
 
-  try {
-    await bot.sendMessage(
-      `@${CHANNEL}`,
-      `🗳️ VOTING STARTED!\n\n💰 Prize Pool: ${treasurySUNO.toLocaleString()} SUNO\n🎰 Bonus Prize: +${treasuryBonus.toLocaleString()} SUNO (1/500)\n⏰ ${votingMinutes} minutes to vote!\n\n📝 Read each story below\n🔥 Vote for who you want to help!\n\n🏆 Top 5 stories win prizes\n💎 Vote for the winner = earn rewards!`
-    );
+// === REFERRAL COMMANDS ===
+// Answered in a DM like /me: they show the player's wallet and earnings
+bot.onText(/^\/invite(?:@\w+)?$/i, async (msg) => {
+  const userId = String(msg.from.id);
+  const lang = userLanguage(userId);
+  const share = REFERRAL_REWARD === "fee" ? REFERRAL_FEE_SHARE : REFERRAL_SUNO_SHARE;
+  const wallet = getPlayerStats(userId)?.wallets.at(-1);
 
-    for (const p of storySubmitters) {
-      await bot.sendMessage(`@${CHANNEL}`, `${p.tierBadge} ${p.user}\n\n📝 "${p.story}"\n\n🔥 Votes: 0`, {
-        reply_markup: {
-          inline_keyboard: [[{ text: "🔥 Vote to Help", callback_data: `vote_${p.userId}` }]]
-        }
-      });
-      await new Promise((r) => setTimeout(r, 1000));
-    }
-    console.log(`✅ Posted ${storySubmitters.length} stories, voting for ${votingMinutes} minutes`);
-  } catch (err) {
-    console.error("❌ Voting failed:", err.message);
+  let text = t(lang, "referral.invite", {
+    link: referralLink(userId),
+    reward: t(lang, `referral.reward_${REFERRAL_REWARD}`, { share: +(share * 100).toFixed(2) })
+  });
+  if (REFERRAL_REWARD !== "off") {
+    text += wallet ? t(lang, "referral.wallet", { wallet }) : t(lang, "referral.no_wallet");
   }
 
-  setTimeout(() => announceWinners(), votingDuration);
-}
+  await replyPrivately(msg, text, { disable_web_page_preview: true });
+});
 
-// === ANNOUNCE WINNERS ===
-async function announceWinners() {
-  console.log(`🏆 Announcing winners...`);
-  
-  phase = "cooldown";
-  saveState();
-  
-  const storySubmitters = participants.filter((p) => p.choice === "story" && p.paid);
-  
-  if (!storySubmitters.length) {
-    console.log("🚫 No stories");
-    participants = [];
-    voters = [];
-    treasurySUNO = 0;
-    pendingPayments = [];
-    saveState();
-    setTimeout(() => startNewCycle(), 60 * 1000);
-    return;
-  }
+bot.onText(/^\/referrals(?:@\w+)?$/i, async (msg) => {
+  const userId = String(msg.from.id);
+  const lang = userLanguage(userId);
+  const { joined, pending, earnings } = getReferralSummary(userId);
 
-  // Check for treasury bonus win
-  const wonTreasuryBonus = checkTreasuryBonus();
-  const treasuryBonusAmount = calculateTreasuryBonus();
-  
-  if (wonTreasuryBonus) {
-    console.log(`🎰 BONUS PRIZE HIT! Winner gets +${treasuryBonusAmount.toLocaleString()} SUNO!`);
+  let text = t(lang, "referral.summary", { joined, pending });
+  for (const e of earnings) {
+    const format = (amount) => (e.asset === "SOL" ? amount.toFixed(4) : amount.toLocaleString());
+    text += t(lang, "referral.earnings", { count: e.rewards, asset: e.asset, amount: format(e.amount), paid: format(e.paidAmount) });
   }
+  if (!earnings.length) text += t(lang, "referral.no_earnings");
+  text += t(lang, "referral.footer");
 
-  const sorted = [...storySubmitters].sort((a, b) => b.votes - a.votes);
-  const weights = [0.40, 0.25, 0.20, 0.10, 0.05];
-  const numWinners = Math.min(5, sorted.length);
-  
-  const prizePool = Math.floor(treasurySUNO * 0.80);
-  const voterPool = treasurySUNO - prizePool;
-  
-  let resultsMsg = `🏆 Competition Results 🏆\n💰 Prize Pool: ${prizePool.toLocaleString()} SUNO\n`;
-  
-  if (wonTreasuryBonus) {
-    resultsMsg += `🎰✨ BONUS PRIZE HIT! ✨🎰\nWinner gets +${treasuryBonusAmount.toLocaleString()} SUNO bonus!\n`;
+  await replyPrivately(msg, text);
+});
+
+// === LEADERBOARDS ===
+// Boards are read from the round archive, so every period is exact. Weekly and
+// daily boards are rolling windows ending now.
+const LEADERBOARD_SIZE = config.leaderboard.size;
+const LEADERBOARD_MIN_VOTES = config.leaderboard.minVotes; // Votes needed to rank on accuracy
+const LEADERBOARD_PERIODS = { all: 0, week: 7 * 24 * 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+const LEADERBOARD_ALIASES = {
+  won: "suno", prizes: "suno", win: "wins", winners: "wins", voter: "voters", accuracy: "voters",
+  contributor: "contributors", pool: "contributors",
+  alltime: "all", "all-time": "all", weekly: "week", daily: "day", today: "day"
+};
+const LEADERBOARD_MEDALS = ["🥇", "🥈", "🥉"];
+const WEEKLY_SUMMARY_SIZE = 3; // Places per board in the weekly post
+
+function buildLeaderboard(category, period, limit = LEADERBOARD_SIZE) {
+  const span = LEADERBOARD_PERIODS[period];
+  return getLeaderboard(category, {
+    since: span ? Date.now() - span : 0,
+    limit,
+    minVotes: LEADERBOARD_MIN_VOTES
+  });
+}
+
+function formatLeaderboardValue(lang, category, row) {
+  switch (category) {
+    case "wins":
+      return t(lang, "leaderboard.value.wins", { count: row.value });
+    case "voters":
+      return t(lang, "leaderboard.value.voters", { accuracy: Math.round(row.value * 100), correct: row.correct, count: row.votes });
+    default:
+      return t(lang, `leaderboard.value.${category}`, { amount: row.value.toLocaleString() });
   }
-  
-  resultsMsg += `\n`;
-  
-  for (let i = 0; i < numWinners; i++) {
-    const w = sorted[i];
-    const baseAmt = Math.floor(prizePool * weights[i]);
-    let finalAmt = Math.floor(baseAmt * w.multiplier);
-    
-    // Add treasury bonus to first place winner
-    if (i === 0 && wonTreasuryBonus) {
-      finalAmt += treasuryBonusAmount;
-      actualTreasuryBalance -= treasuryBonusAmount;  // Deduct from actual treasury
-    }
-    
-    const bonusTag = (i === 0 && wonTreasuryBonus) ? ` (+ ${treasuryBonusAmount.toLocaleString()} bonus!)` : '';
-    resultsMsg += `#${i + 1} ${w.tierBadge} ${w.user} — ${w.votes}🔥 — ${finalAmt.toLocaleString()} SUNO${bonusTag}\n`;
-    
-    if (w.wallet && finalAmt > 0) {
-      await sendSUNOPayout(w.wallet, finalAmt, `Prize #${i + 1}`);
-      
-      try {
-        const bonusMsg = (i === 0 && wonTreasuryBonus) ? `\n🎰 BONUS PRIZE: +${treasuryBonusAmount.toLocaleString()} SUNO!` : '';
-        await bot.sendMessage(w.userId, `🎉 You won ${finalAmt.toLocaleString()} SUNO!${bonusMsg} Check your wallet! 🎊`);
-      } catch {}
+}
+
+function formatLeaderboardRows(lang, category, rows) {
+  if (!rows.length) return t(lang, "leaderboard.empty");
+  return rows.map((row, i) => t(lang, "leaderboard.row", {
+    rank: LEADERBOARD_MEDALS[i] || `${i + 1}.`,
+    name: row.name || t(lang, "leaderboard.anonymous", { id: row.userId.slice(-4) }),
+    value: formatLeaderboardValue(lang, category, row)
+  })).join("");
+}
+
+bot.onText(/^\/leaderboard(?:@\w+)?(?:\s+(.+))?$/i, async (msg, match) => {
+  const lang = userLanguage(msg.from.id);
+  let category = "suno";
+  let period = "all";
+
+  for (const word of (match[1] || "").toLowerCase().split(/\s+/).filter(Boolean)) {
+    const key = LEADERBOARD_ALIASES[word] || word;
+    if (LEADERBOARD_CATEGORIES.includes(key)) {
+      category = key;
+    } else if (key in LEADERBOARD_PERIODS) {
+      period = key;
+    } else {
+      await telegram.sendMessage(msg.chat.id, t(lang, "leaderboard.usage"));
+      return;
     }
   }
 
-  const winner = sorted[0];
-  const winnerVoters = voters.filter(v => v.votedFor === winner.userId);
-  
-  if (winnerVoters.length > 0 && voterPool > 0) {
-    const totalVoterAmount = winnerVoters.reduce((sum, v) => sum + v.amount, 0);
-    
-    resultsMsg += `\n🗳️ Voter Rewards: ${voterPool.toLocaleString()} SUNO\n`;
-    
-    for (const v of winnerVoters) {
-      const share = Math.floor((v.amount / totalVoterAmount) * voterPool);
-      
-      if (share > 0) {
-        await sendSUNOPayout(v.wallet, share, "Voter reward");
-        
-        try {
-          await bot.sendMessage(v.userId, `🎉 You voted for the winner!\nReward: ${share.toLocaleString()} SUNO 💰`);
-        } catch {}
-      }
-    }
-    
-    resultsMsg += `✅ ${winnerVoters.length} voter(s) rewarded!`;
+  let text = t(lang, "leaderboard.title", {
+    category: t(lang, `leaderboard.category.${category}`),
+    period: t(lang, `leaderboard.period.${period}`)
+  });
+  text += formatLeaderboardRows(lang, category, buildLeaderboard(category, period));
+  if (category === "voters") text += t(lang, "leaderboard.min_votes", { count: LEADERBOARD_MIN_VOTES });
+
+  await telegram.sendMessage(msg.chat.id, text);
+});
+
+// Player ids stay private; boards show names only
+app.get("/leaderboard", generalLimiter, (req, res) => {
+  const category = req.query.category || "suno";
+  const period = req.query.period || "all";
+  if (!LEADERBOARD_CATEGORIES.includes(category) || !(period in LEADERBOARD_PERIODS)) {
+    return res.status(400).json({
+      error: "Unknown category or period",
+      categories: LEADERBOARD_CATEGORIES,
+      periods: Object.keys(LEADERBOARD_PERIODS)
+    });
   }
 
-  resultsMsg += `\n\n🎰 Bonus Prize every round (1/500 chance)`;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || LEADERBOARD_SIZE, 1), 100);
+  const entries = buildLeaderboard(category, period, limit).map(({ userId, ...row }, i) => ({ rank: i + 1, ...row }));
+  res.json({ category, period, ...(category === "voters" && { minVotes: LEADERBOARD_MIN_VOTES }), entries });
+});
 
-  try {
-    await bot.sendMessage(`@${CHANNEL}`, resultsMsg);
-    
-    const winnerPrize = Math.floor(prizePool * 0.40 * winner.multiplier) + (wonTreasuryBonus ? treasuryBonusAmount : 0);
-    const bonusText = wonTreasuryBonus ? ` (including ${treasuryBonusAmount.toLocaleString()} bonus!)` : '';
-    
-    await bot.sendMessage(
-      `@${MAIN_CHANNEL}`,
-      `🎉 WINNER: ${winner.tierBadge} ${winner.user}\n💰 Won ${winnerPrize.toLocaleString()} SUNO${bonusText}!\n\n🏆 See full results in @${CHANNEL}\n⏰ Next round starts in 1 minute!\n\n🎮 Type /start in the bot to play!`
-    );
-  } catch {}
+// Posted to the main channel once a week has passed since the last summary.
+// The first week is counted from the first start with this feature.
+function postWeeklyLeaderboard() {
+  if (!config.leaderboard.weeklyPost) return;
 
-  console.log(`💰 Distributed ${treasurySUNO.toLocaleString()} SUNO from round pool`);
-  if (wonTreasuryBonus) {
-    console.log(`🎰 Bonus prize paid: ${treasuryBonusAmount.toLocaleString()} SUNO from treasury`);
+  const lastPostedAt = getMeta("leaderboardPostedAt");
+  if (!lastPostedAt) {
+    setMeta({ leaderboardPostedAt: Date.now() });
+    return;
   }
-  
-  participants = [];
-  voters = [];
-  treasurySUNO = 0;
-  pendingPayments = [];
-  saveState();
-  
-  setTimeout(() => startNewCycle(), 60 * 1000);
+  if (Date.now() - lastPostedAt < LEADERBOARD_PERIODS.week) return;
+
+  let text = t(MAIN_LANG, "leaderboard.weekly_header");
+  for (const category of LEADERBOARD_CATEGORIES) {
+    text += t(MAIN_LANG, "leaderboard.weekly_section", { category: t(MAIN_LANG, `leaderboard.category.${category}`) });
+    text += formatLeaderboardRows(MAIN_LANG, category, buildLeaderboard(category, "week", WEEKLY_SUMMARY_SIZE));
+  }
+  text += t(MAIN_LANG, "leaderboard.weekly_footer");
+
+  setMeta({ leaderboardPostedAt: Date.now() });
+  telegram.sendMessage(`@${MAIN_CHANNEL}`, text, {}, { priority: "low" });
+  console.log("🏆 Weekly leaderboard queued for main channel");
 }
 
-// === TELEGRAM HANDLERS ===
-bot.onText(/\/start|play/i, async (msg) => {
-  const user = msg.from.username ? `@${msg.from.username}` : msg.from.first_name || "Unknown";
+setInterval(() => {
+  postWeeklyLeaderboard();
+}, 60 * 60 * 1000);
+
+// === LANGUAGE ===
+bot.onText(/^\/language(?:@\w+)?(?:\s+(\S+))?$/i, async (msg, match) => {
   const userId = String(msg.from.id);
 
-  if (phase !== "submission") {
-    await bot.sendMessage(userId, `⚠️ ${phase} phase active. Wait for next round!`);
+  if (match[1]) {
+    const chosen = matchLanguage(match[1]);
+    if (!chosen) {
+      await telegram.sendMessage(msg.chat.id, t(userLanguage(userId), "language.unknown", { languages: Object.keys(LANGUAGES).join(", ") }));
+      return;
+    }
+    setUserLanguage(userId, chosen);
+    await telegram.sendMessage(msg.chat.id, t(chosen, "language.set"));
     return;
   }
 
-  const now = Date.now();
-  let timeMessage = "";
+  await telegram.sendMessage(msg.chat.id, t(userLanguage(userId), "language.choose"), {
+    reply_markup: {
+      inline_keyboard: [Object.entries(LANGUAGES).map(([code, name]) => ({ text: name, callback_data: `lang_${code}` }))]
+    }
+  });
+});
+
+bot.on("message", async (msg) => {
+  // Ignore non-private chats
+  if (msg.chat.type !== "private") return;
+
+  const userId = String(msg.from.id);
+  const lang = userLanguage(userId);
   
-  if (cycleStartTime) {
-    const submissionEndTime = cycleStartTime + (5 * 60 * 1000);
-    const timeRemaining = Math.max(0, submissionEndTime - now);
-    const minutesLeft = Math.ceil(timeRemaining / 60000);
-    timeMessage = `\n⏰ ${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''} left to join!`;
-  }
+  // Other slash commands are handled by their own onText handlers
+  if (msg.text?.startsWith("/") && !msg.text.match(/^\/start/i)) return;
+  
+  // Handle audio uploads (track competitions)
+  if (msg.audio && TRACK_MODE) {
+    const user = msg.from.username ? `@${msg.from.username}` : msg.from.first_name || "Unknown";
 
-  const treasuryBonus = calculateTreasuryBonus();
+    if (phase !== "submission") {
+      await telegram.sendMessage(userId, t(lang, "help.phase_active", { phase: t(lang, `phase.${phase}`) }));
+      return;
+    }
 
-  await bot.sendMessage(
-    userId,
-    `🎮 Welcome to SunoLabs Fundraiser!\n\n💰 Prize Pool: ${treasurySUNO.toLocaleString()} SUNO\n🎰 Bonus Prize: +${treasuryBonus.toLocaleString()} SUNO (1/500)${timeMessage}\n\n🎯 Choose your path:`,
-    {
+    const trackChoice = findOpenPayment(currentRoundId, userId, "story");
+    if (!trackChoice) {
+      await telegram.sendMessage(userId, t(lang, "track.need_choice"));
+      return;
+    }
+
+    const reference = trackChoice.reference;
+    const redirectLink = `https://sunolabs-redirect.onrender.com/pay?recipient=${TREASURY.toBase58()}&amount=0.01&reference=${reference}&userId=${userId}`;
+    const payMarkup = {
       reply_markup: {
         inline_keyboard: [
-          [{ text: "📝 Share Your Story & Compete", callback_data: `start_story_${userId}` }],
-          [{ text: "🗳️ Vote Only & Earn", callback_data: `start_vote_${userId}` }]
+          [{ text: t(lang, "track.button_buy"), url: redirectLink }]
         ]
       }
+    };
+
+    if (trackChoice.track) {
+      await telegram.sendMessage(userId, t(lang, "track.already_uploaded", { title: trackChoice.story }), payMarkup);
+      return;
     }
-  );
-});
 
-bot.on("message", async (msg) => {
-  // Ignore non-private chats
-  if (msg.chat.type !== "private") return;
+    if (getEntry(currentRoundId, userId, "story")) {
+      await telegram.sendMessage(userId, t(lang, "track.already_in_round"));
+      return;
+    }
+
+    const { file_id: track, duration = 0, title, performer } = msg.audio;
+    if (duration > MAX_TRACK_SECONDS) {
+      await telegram.sendMessage(
+        userId,
+        t(lang, "track.too_long", { length: formatTrackDuration(duration), max: formatTrackDuration(MAX_TRACK_SECONDS) })
+      );
+      return;
+    }
+
+    // The caption names the track, falling back to the file's own tags
+    const trackTitle = (msg.caption?.trim() || [performer, title].filter(Boolean).join(" - ") || t(lang, "track.untitled")).substring(0, MAX_TRACK_TITLE);
+
+    // Titles get the link and blocked-word filters; near-duplicates are a story check
+    const problem = checkStory(trackTitle, { ...config.moderation, existing: [] });
+    if (problem) {
+      console.log(`🚫 Track from ${userId} not accepted: ${problem.code}`);
+      await telegram.sendMessage(userId, t(lang, "track.not_accepted", { reason: t(lang, `moderation.reason.${problem.code}`) }));
+      return;
+    }
+
+    updatePayment(reference, { story: trackTitle, track, trackDuration: duration, user });
+
+    await telegram.sendMessage(
+      userId,
+      t(lang, "track.received", { length: formatTrackDuration(duration), title: trackTitle }),
+      payMarkup
+    );
+    return;
+  }
 
-  const userId = String(msg.from.id);
-  
   // Handle text messages (story submissions)
   if (msg.text && !msg.text.match(/^\/start|^play$/i)) {
     const user = msg.from.username ? `@${msg.from.username}` : msg.from.first_name || "Unknown";
 
     if (phase !== "submission") {
-      await bot.sendMessage(userId, `⚠️ ${phase} phase active. Type /start when a new round begins!`);
+      await telegram.sendMessage(userId, t(lang, "help.phase_active", { phase: t(lang, `phase.${phase}`) }));
       return;
     }
 
     // Check if user has chosen story path
-    const storyChoice = pendingPayments.find(p => p.userId === userId && p.choice === "story" && !p.paid);
+    const storyChoice = findOpenPayment(currentRoundId, userId, "story");
     
     if (!storyChoice) {
       // Not in story mode, send help message
@@ -1322,36 +3683,39 @@ bot.on("message", async (msg) => {
       let phaseInfo = "";
       
       if (phase === "submission" && cycleStartTime) {
-        const submissionEndTime = cycleStartTime + (5 * 60 * 1000);
+        const submissionEndTime = cycleStartTime + SUBMISSION_DURATION;
         const timeRemaining = Math.max(0, submissionEndTime - now);
-        const minutesLeft = Math.ceil(timeRemaining / 60000);
-        phaseInfo = `\n\n⏰ Current round ends in ${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''}!`;
+        phaseInfo = t(lang, "help.round_ends", { count: Math.ceil(timeRemaining / 60000) });
       }
       
-      await bot.sendMessage(
+      await telegram.sendMessage(
         userId,
-        `👋 Hi! Welcome to SunoLabs Fundraiser!\n\n🎮 To play, type:\n/start\n\nThen choose:\n📝 Share your story & compete for SUNO prizes\n🗳️ Vote only & earn SUNO rewards${phaseInfo}`
+        t(lang, "help.welcome", { compete: t(lang, `help.compete_${config.round.competition}`), phaseInfo })
       );
       return;
     }
 
+    if (TRACK_MODE) {
+      await telegram.sendMessage(userId, t(lang, "track.send_audio", { max: formatTrackDuration(MAX_TRACK_SECONDS) }));
+      return;
+    }
+
     // === CHARACTER LENGTH VALIDATION ===
     const storyText = msg.text.trim();
     const charCount = storyText.length;
     
     if (charCount > MAX_STORY_LENGTH) {
-      const overBy = charCount - MAX_STORY_LENGTH;
-      await bot.sendMessage(
+      await telegram.sendMessage(
         userId,
-        `⚠️ Story too long!\n\n📏 Your story: ${charCount} characters\n✅ Maximum: ${MAX_STORY_LENGTH} characters\n❌ Over by: ${overBy} characters\n\nPlease shorten your story and try again (about 3 sentences).`
+        t(lang, "story.too_long", { count: charCount, max: MAX_STORY_LENGTH, over: charCount - MAX_STORY_LENGTH })
       );
       return;
     }
 
-    if (charCount < 20) {
-      await bot.sendMessage(
+    if (charCount < MIN_STORY_LENGTH) {
+      await telegram.sendMessage(
         userId,
-        `⚠️ Story too short!\n\n📏 Your story: ${charCount} characters\n✅ Minimum: 20 characters\n\nPlease write a bit more about why you need funds.`
+        t(lang, "story.too_short", { count: charCount, min: MIN_STORY_LENGTH })
       );
       return;
     }
@@ -1362,13 +3726,15 @@ bot.on("message", async (msg) => {
       const reference = storyChoice.reference;
       const redirectLink = `https://sunolabs-redirect.onrender.com/pay?recipient=${TREASURY.toBase58()}&amount=0.01&reference=${reference}&userId=${userId}`;
       
-      await bot.sendMessage(
+      await telegram.sendMessage(
         userId,
-        `✅ Story already submitted!\n\n📝 "${storyChoice.story.substring(0, 100)}${storyChoice.story.length > 100 ? '...' : ''}"\n\n🪙 Complete your payment to enter the fundraiser!`,
+        t(lang, "story.already_submitted", {
+          preview: `${storyChoice.story.substring(0, 100)}${storyChoice.story.length > 100 ? '...' : ''}`
+        }),
         {
           reply_markup: {
             inline_keyboard: [
-              [{ text: "🪙 Buy SUNO & Enter Fundraiser", url: redirectLink }]
+              [{ text: t(lang, "story.button_buy"), url: redirectLink }]
             ]
           }
         }
@@ -1377,30 +3743,46 @@ bot.on("message", async (msg) => {
     }
 
     // Check if already participated this round
-    const alreadyParticipated = participants.find(p => p.userId === userId);
+    const alreadyParticipated = getEntry(currentRoundId, userId, "story");
     if (alreadyParticipated) {
-      await bot.sendMessage(
+      await telegram.sendMessage(
         userId,
-        `⚠️ You're already in this round!\n\n📝 ${alreadyParticipated.story.substring(0, 50)}...\n\nOne entry per round.`
+        t(lang, "story.already_in_round", { preview: alreadyParticipated.story.substring(0, 50) })
       );
       return;
     }
 
+    // === AUTOMATIC MODERATION ===
+    const problem = checkStory(storyText, {
+      ...config.moderation,
+      existing: [
+        ...listOpenPayments(currentRoundId).filter(p => p.story && p.userId !== userId),
+        ...listRecentStories(DUPLICATE_HISTORY)
+      ]
+    });
+    if (problem) {
+      console.log(`🚫 Story from ${userId} not accepted: ${problem.code}${problem.similarity ? ` (${Math.round(problem.similarity * 100)}% similar to entry ${problem.match.id ?? problem.match.reference})` : ""}`);
+      await telegram.sendMessage(userId, t(lang, "story.not_accepted", { reason: t(lang, `moderation.reason.${problem.code}`) }));
+      return;
+    }
+
     // Save the story
-    storyChoice.story = storyText;
-    storyChoice.user = user;
-    saveState();
+    updatePayment(storyChoice.reference, { story: storyText, user });
 
     const reference = storyChoice.reference;
     const redirectLink = `https://sunolabs-redirect.onrender.com/pay?recipient=${TREASURY.toBase58()}&amount=0.01&reference=${reference}&userId=${userId}`;
 
-    await bot.sendMessage(
+    await telegram.sendMessage(
       userId,
-      `✅ Story received! (${charCount}/${MAX_STORY_LENGTH} characters)\n\n📝 "${storyText.substring(0, 100)}${storyText.length > 100 ? '...' : ''}"\n\n🪙 Now buy SUNO tokens to enter the fundraiser!`,
+      t(lang, "story.received", {
+        count: charCount,
+        max: MAX_STORY_LENGTH,
+        preview: `${storyText.substring(0, 100)}${storyText.length > 100 ? '...' : ''}`
+      }),
       {
         reply_markup: {
           inline_keyboard: [
-            [{ text: "🪙 Buy SUNO & Enter Fundraiser", url: redirectLink }]
+            [{ text: t(lang, "story.button_buy"), url: redirectLink }]
           ]
         }
       }
@@ -1419,31 +3801,81 @@ bot.on("message", async (msg) => {
     let phaseInfo = "";
     
     if (phase === "submission" && cycleStartTime) {
-      const submissionEndTime = cycleStartTime + (5 * 60 * 1000);
+      const submissionEndTime = cycleStartTime + SUBMISSION_DURATION;
       const timeRemaining = Math.max(0, submissionEndTime - now);
-      const minutesLeft = Math.ceil(timeRemaining / 60000);
-      phaseInfo = `\n\n⏰ Current round ends in ${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''}!`;
+      phaseInfo = t(lang, "help.round_ends", { count: Math.ceil(timeRemaining / 60000) });
     } else if (phase === "voting") {
-      phaseInfo = `\n\n🗳️ Voting is currently active! Check @${CHANNEL}`;
+      phaseInfo = t(lang, "help.voting_active", { channel: CHANNEL });
     } else if (phase === "cooldown") {
-      phaseInfo = `\n\n⏰ New round starting soon!`;
+      phaseInfo = t(lang, "help.starting_soon");
     }
     
-    await bot.sendMessage(
+    await telegram.sendMessage(
       userId,
-      `👋 Hi! Welcome to SunoLabs Competition!\n\n🎮 To play, type:\n/start\n\nThen choose:\n🎵 Upload track & compete for SUNO prizes\n🗳️ Vote only & earn SUNO rewards${phaseInfo}`
+      t(lang, "help.welcome", { compete: t(lang, `help.compete_${config.round.competition}`), phaseInfo })
     );
   }
 });
 
 bot.on("callback_query", async (q) => {
   try {
+    const lang = userLanguage(q.from.id);
+
+    if (isBanned(q.from.id)) {
+      await bot.answerCallbackQuery(q.id, { text: t(lang, "start.banned") });
+      return;
+    }
+
+    // Language picked from the /language buttons
+    if (q.data.startsWith("lang_")) {
+      const chosen = q.data.slice("lang_".length);
+      if (!LANGUAGES[chosen]) return;
+      setUserLanguage(String(q.from.id), chosen);
+      await bot.answerCallbackQuery(q.id, { text: t(chosen, "language.set") });
+      telegram.editMessageText(t(chosen, "language.set"), { chat_id: q.message.chat.id, message_id: q.message.message_id });
+      return;
+    }
+
+    // Moderator decisions on stories awaiting review
+    if (q.data.startsWith("mod_")) {
+      if (!isModerator(q.from.id)) {
+        await bot.answerCallbackQuery(q.id, { text: "🚫 Moderators only" });
+        return;
+      }
+
+      const [, action, entryId, reasonKey] = q.data.split("_");
+      const reason = REJECT_REASONS[reasonKey];
+      if (action === "reject" && !reason) {
+        await bot.answerCallbackQuery(q.id, { text: "⚠️ Unknown reason" });
+        return;
+      }
+
+      const entry = action === "approve"
+        ? approveStory(Number(entryId), q.from.id)
+        : rejectStory(Number(entryId), reasonKey, q.from.id);
+      if (!entry) {
+        const current = getEntryById(Number(entryId));
+        await bot.answerCallbackQuery(q.id, { text: `⚠️ Already ${current?.moderation || "gone"}` });
+        return;
+      }
+
+      logAdminAction(q.from.id, `moderate_${action}`, `${entry.id}${reasonKey ? ` ${reasonKey}` : ""}`);
+      const moderator = q.from.username ? `@${q.from.username}` : q.from.first_name || q.from.id;
+      const decision = action === "approve" ? `✅ Approved by ${moderator}` : `🚫 Rejected by ${moderator}: ${reason}`;
+      await bot.answerCallbackQuery(q.id, { text: action === "approve" ? "✅ Approved" : "🚫 Rejected" });
+      const options = { chat_id: q.message.chat.id, message_id: q.message.message_id };
+      if (q.message.audio) telegram.editMessageCaption(`${q.message.caption}\n\n${decision}`, options);
+      else telegram.editMessageText(`${q.message.text}\n\n${decision}`, options);
+      return;
+    }
+
+
     // Handle initial choice (before payment)
     if (q.data.startsWith("start_")) {
       const [, action, userKey] = q.data.split("_");
       
       if (phase !== "submission") {
-        await bot.answerCallbackQuery(q.id, { text: "⚠️ Submission phase ended!" });
+        await bot.answerCallbackQuery(q.id, { text: t(lang, "start.submission_ended") });
         return;
       }
 
@@ -1452,42 +3884,50 @@ bot.on("callback_query", async (q) => {
 
       if (action === "story") {
         // User chose to submit story
-        pendingPayments.push({
+        insertPayment({
+          reference: reference.toBase58(),
+          roundId: currentRoundId,
           userId: userKey,
           choice: "story",
-          reference: reference.toBase58(),
           confirmed: false,
           paid: false,
           createdAt: Date.now()
         });
-        saveState();
 
-        await bot.answerCallbackQuery(q.id, { text: "✅ Story mode selected!" });
-        await bot.sendMessage(
-          userKey,
-          `📝 Share Your Story!\n\n✍️ Tell us why you need funds (max ${MAX_STORY_LENGTH} characters, about 3 sentences).\n\nType your story and hit send!\n\n⏱️ You have ${Math.ceil(PAYMENT_TIMEOUT / 60000)} minutes to submit and pay.`
-        );
+        if (TRACK_MODE) {
+          await bot.answerCallbackQuery(q.id, { text: t(lang, "start.track_selected") });
+          await telegram.sendMessage(
+            userKey,
+            t(lang, "start.track_prompt", { max: formatTrackDuration(MAX_TRACK_SECONDS), count: Math.ceil(PAYMENT_TIMEOUT / 60000) })
+          );
+        } else {
+          await bot.answerCallbackQuery(q.id, { text: t(lang, "start.story_selected") });
+          await telegram.sendMessage(
+            userKey,
+            t(lang, "start.story_prompt", { max: MAX_STORY_LENGTH, count: Math.ceil(PAYMENT_TIMEOUT / 60000) })
+          );
+        }
 
       } else if (action === "vote") {
         // User chose to vote only
-        pendingPayments.push({
+        insertPayment({
+          reference: reference.toBase58(),
+          roundId: currentRoundId,
           userId: userKey,
           choice: "vote",
-          reference: reference.toBase58(),
           confirmed: false,
           paid: false,
           createdAt: Date.now()
         });
-        saveState();
 
-        await bot.answerCallbackQuery(q.id, { text: "✅ Vote mode selected!" });
-        await bot.sendMessage(
+        await bot.answerCallbackQuery(q.id, { text: t(lang, "start.vote_selected") });
+        await telegram.sendMessage(
           userKey,
-          `🗳️ Vote Only & Earn!\n\n🪙 Buy SUNO tokens to participate!\n\n⏱️ Complete payment within ${Math.ceil(PAYMENT_TIMEOUT / 60000)} minutes.`,
+          t(lang, "start.vote_prompt", { count: Math.ceil(PAYMENT_TIMEOUT / 60000) }),
           {
             reply_markup: {
               inline_keyboard: [
-                [{ text: "🪙 Buy SUNO & Join as Voter", url: redirectLink }]
+                [{ text: t(lang, "start.button_buy_vote"), url: redirectLink }]
               ]
             }
           }
@@ -1503,39 +3943,53 @@ bot.on("callback_query", async (q) => {
       const targetId = String(userIdStr);
       const voterId = String(q.from.id);
       
-      const entry = participants.find((p) => String(p.userId) === targetId);
+      if (phase !== "voting") {
+        await bot.answerCallbackQuery(q.id, { text: t(lang, "voting.closed") });
+        return;
+      }
+      
+      const entry = getEntry(currentRoundId, targetId, "story");
       
       if (!entry) {
-        await bot.answerCallbackQuery(q.id, { text: "⚠️ Not found" });
+        await bot.answerCallbackQuery(q.id, { text: t(lang, "voting.not_found") });
         return;
       }
 
-      if (entry.voters.includes(voterId)) {
-        await bot.answerCallbackQuery(q.id, { text: "⚠️ Already voted" });
+      if (targetId === voterId) {
+        await bot.answerCallbackQuery(q.id, { text: t(lang, "voting.own_entry", { noun: entryNoun(lang) }) });
         return;
       }
 
-      entry.votes++;
-      entry.voters.push(voterId);
-      
-      const voter = voters.find(v => v.userId === voterId);
-      if (voter) {
-        voter.votedFor = targetId;
+      const paidAmount = getPaidAmount(currentRoundId, voterId);
+      if (VOTING_ELIGIBILITY === "paid" && !paidAmount) {
+        await bot.answerCallbackQuery(q.id, {
+          text: t(lang, "voting.players_only"),
+          show_alert: true
+        });
+        return;
       }
-      
-      saveState();
 
-      try {
-        await bot.editMessageText(`${entry.tierBadge} ${entry.user}\n\n📝 "${entry.story}"\n\n🔥 Votes: ${entry.votes}`, {
-          chat_id: q.message.chat.id,
-          message_id: q.message.message_id,
-          reply_markup: {
-            inline_keyboard: [[{ text: "🔥 Vote to Help", callback_data: `vote_${entry.userId}` }]]
-          }
-        });
-      } catch {}
+      const currentVote = getVote(currentRoundId, voterId);
+      if (currentVote === targetId) {
+        await bot.answerCallbackQuery(q.id, { text: t(lang, "voting.already_voted", { noun: entryNoun(lang) }) });
+        return;
+      }
+
+      // One vote per voter per round: voting again moves it. The weight is
+      // fixed when cast; voters who haven't paid into this round (allowed with
+      // voting.eligibility "anyone") count as a minimum payment
+      const weight = getVoteWeight(VOTING_MODE, paidAmount || config.payments.minSOL);
+      const movedFrom = recordVote(currentRoundId, voterId, targetId, weight);
+      const tally = getEntry(currentRoundId, targetId, "story");
+
+      scheduleTallyEdit(tally, q.message.chat.id, q.message.message_id);
+
+      const previous = movedFrom ? getEntry(currentRoundId, movedFrom, "story") : null;
+      if (previous?.messageId) {
+        scheduleTallyEdit(previous, `@${CHANNEL}`, previous.messageId);
+      }
       
-      await bot.answerCallbackQuery(q.id, { text: "✅ Voted!" });
+      await bot.answerCallbackQuery(q.id, { text: previous ? t(lang, "voting.moved", { user: previous.user }) : t(lang, "voting.voted") });
     }
   } catch (err) {
     console.error("⚠️ Callback error:", err.message);
@@ -1545,8 +3999,23 @@ bot.on("callback_query", async (q) => {
 // === STARTUP ===
 app.listen(PORT, async () => {
   console.log(`🌐 SunoLabs Buy SUNO Bot on port ${PORT}`);
+  console.log(`⚙️ Config (${configSource}): ${formatDuration(SUBMISSION_DURATION, "en")} submission, ${formatDuration(VOTING_DURATION, "en")} voting, ${formatDuration(COOLDOWN_DURATION, "en")} cooldown, ${PRIZE_WEIGHTS.length} prize places, leftover → ${ROUND_LEFTOVER}, ${VOTING_MODE} voting, ${TIE_BREAK} tie-break${REVIEW_ENABLED ? ", stories reviewed" : ""}`);
+  for (const lang of Object.keys(LANGUAGES)) {
+    const missing = missingMessages(lang);
+    if (missing.length) console.warn(`⚠️ ${LANGUAGES[lang]} is missing ${missing.length} message(s), English is used instead: ${missing.join(", ")}`);
+  }
   
   loadState();
+  loadSendQueue();
+  pruneFailedMessages();
+
+  const interruptedOps = interruptTreasuryOps();
+  if (interruptedOps > 0) {
+    console.warn(`⚠️ ${interruptedOps} treasury operation(s) were interrupted by the last shutdown — see /treasuryops`);
+  }
+  processPayoutLedger();
+  processUnresolvedBuys();
+  postWeeklyLeaderboard();
   
   // Initialize actual treasury balance from blockchain if not set
   if (actualTreasuryBalance === 0) {
@@ -1557,44 +4026,37 @@ app.listen(PORT, async () => {
   
   console.log(`💰 Current round pool: ${treasurySUNO.toLocaleString()} SUNO`);
   console.log(`🏦 Actual treasury: ${actualTreasuryBalance.toLocaleString()} SUNO`);
-  console.log(`🎰 Bonus prize: ${calculateTreasuryBonus().toLocaleString()} SUNO (${(getTreasuryBonusPercentage() * 100).toFixed(0)}%)`);
+  console.log(`🎰 Bonus prize: ${calculateTreasuryBonus().toLocaleString()} SUNO (${(getTreasuryBonusPercentage(actualTreasuryBalance) * 100).toFixed(0)}%)`);
   
   const webhookUrl = `https://sunolabs-bot.onrender.com/webhook/${token}`;
-  try {
-    await bot.deleteWebHook();
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    await bot.setWebHook(webhookUrl);
-    console.log("✅ Webhook set");
-  } catch (err) {
-    console.error("❌ Webhook failed:", err.message);
+  if (DRY_RUN) {
+    console.log(`🧪 Webhook not registered — POST Telegram updates to /webhook/${token}`);
+  } else {
+    try {
+      await bot.deleteWebHook();
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      await bot.setWebHook(webhookUrl);
+      console.log("✅ Webhook set");
+    } catch (err) {
+      console.error("❌ Webhook failed:", err.message);
+    }
   }
   
-  const now = Date.now();
-  
-  if (!cycleStartTime || phase === "cooldown") {
-    console.log("🚀 Starting new cycle in 3 seconds...");
-    setTimeout(() => startNewCycle(), 3000);
-  } else if (phase === "submission") {
-    const timeLeft = (cycleStartTime + 5 * 60 * 1000) - now;
-    if (timeLeft <= 0) {
-      setTimeout(() => startVoting(), 1000);
-    } else {
-      console.log(`⏰ Resuming submission (${Math.ceil(timeLeft / 60000)}m left)`);
-      setTimeout(() => startVoting(), timeLeft);
-    }
-  } else if (phase === "voting") {
-    const timeLeft = nextPhaseTime - now;
-    if (timeLeft <= 0) {
-      setTimeout(() => announceWinners(), 1000);
-    } else {
-      console.log(`⏰ Resuming voting (${Math.ceil(timeLeft / 60000)}m left)`);
-      setTimeout(() => announceWinners(), timeLeft);
-    }
+  if (paused) {
+    console.log(`⏸️ Game is paused (${phase} phase) - waiting for /resume`);
+  } else if (nextPhaseTime && nextPhaseTime > Date.now()) {
+    console.log(`⏰ Resuming ${phase} (${Math.ceil((nextPhaseTime - Date.now()) / 60000)}m left)`);
+  } else {
+    console.log(`⏰ ${phase} deadline passed - catching up`);
   }
+  
+  setInterval(() => {
+    phaseTick();
+  }, PHASE_TICK);
 });
 
 setInterval(() => {
-  console.log(`⏰ Phase: ${phase} | Uploaders: ${participants.filter(p => p.choice === "upload").length} | Voters: ${voters.length}`);
+  console.log(`⏰ Phase: ${phase} | ${TRACK_MODE ? "Uploaders" : "Stories"}: ${listEntries(currentRoundId, "story").length} | Voters: ${listEntries(currentRoundId, "vote").length}`);
 }, 30000);
 
 // === SELF-PING TO PREVENT RENDER SLEEP ===
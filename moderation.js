@@ -0,0 +1,71 @@
+// moderation.js — automatic story checks: links, blocked words and near-duplicates
+// Pure text functions; the review queue and its Telegram side live in index.js.
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\bt\.me\/\S+|\b[a-z0-9-]+\.(?:com|net|org|io|xyz|gg|me|ly|co|app|link|site|online|fun|ru|tk)\b/i;
+
+// Lower case, accents stripped, anything but letters and digits collapsed to one space
+export function normalizeStory(text) {
+  return text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+export function containsLink(text) {
+  return LINK_PATTERN.test(text);
+}
+
+// Whole words or phrases only, so "class" doesn't trip over "ass"
+export function findBlockedWord(text, blockedWords) {
+  const padded = ` ${normalizeStory(text)} `;
+  return blockedWords.find(word => {
+    const normalized = normalizeStory(word);
+    return normalized && padded.includes(` ${normalized} `);
+  }) || null;
+}
+
+// === NEAR-DUPLICATES ===
+// Jaccard similarity of character trigrams: robust to punctuation, case and
+// small edits, so a copied story with a word swapped still scores close to 1.
+function trigrams(text) {
+  const normalized = normalizeStory(text);
+  const grams = new Set();
+  for (let i = 0; i + 3 <= normalized.length; i++) grams.add(normalized.slice(i, i + 3));
+  return grams;
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const gram of a) if (b.has(gram)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+export function storySimilarity(a, b) {
+  return jaccard(trigrams(a), trigrams(b));
+}
+
+// Returns null when the story passes, otherwise { code } naming the problem
+// (link, blocked_word or duplicate; the player-facing wording is the
+// moderation.reason.<code> message). `existing` holds { story } objects to
+// compare against (current and past stories).
+export function checkStory(text, { blockLinks, blockedWords, duplicateThreshold, existing = [] }) {
+  if (blockLinks && containsLink(text)) {
+    return { code: "link" };
+  }
+  if (findBlockedWord(text, blockedWords)) {
+    return { code: "blocked_word" };
+  }
+
+  const grams = trigrams(text);
+  for (const other of existing) {
+    if (!other.story) continue;
+    const similarity = jaccard(grams, trigrams(other.story));
+    if (similarity >= duplicateThreshold) {
+      return { code: "duplicate", match: other, similarity };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,261 @@
+// prizes.js — tier table and prize maths shared by announceWinners and simulate.js
+// Everything here is pure: no state, chain or Telegram access.
+import { createHash, randomBytes } from "crypto";
+
+// === TIER CONFIGURATION ===
+export const TIERS = {
+  BASIC: {
+    min: 0.01,
+    max: 0.049,
+    retention: 0.50,
+    multiplier: 1.0,
+    name: "Basic",
+    badge: "🎵"
+  },
+  MID: {
+    min: 0.05,
+    max: 0.099,
+    retention: 0.55,
+    multiplier: 1.05,
+    name: "Mid Tier",
+    badge: "💎"
+  },
+  HIGH: {
+    min: 0.10,
+    max: 0.499,
+    retention: 0.60,
+    multiplier: 1.10,
+    name: "High Tier",
+    badge: "👑"
+  },
+  WHALE: {
+    min: 0.50,
+    max: 999,
+    retention: 0.65,
+    multiplier: 1.15,
+    name: "Whale",
+    badge: "🐋"
+  }
+};
+
+export function getTier(amount) {
+  if (amount >= TIERS.WHALE.min) return TIERS.WHALE;
+  if (amount >= TIERS.HIGH.min) return TIERS.HIGH;
+  if (amount >= TIERS.MID.min) return TIERS.MID;
+  return TIERS.BASIC;
+}
+
+export function getWhaleRetention(amount) {
+  if (amount < 0.50) return 0.65;
+  if (amount >= 5.00) return 0.75;
+  return 0.65 + ((amount - 0.50) / 4.50) * 0.10;
+}
+
+export function getWhaleMultiplier(amount) {
+  if (amount < 0.50) return 1.15;
+  if (amount >= 5.00) return 1.50;
+  return 1.15 + ((amount - 0.50) / 4.50) * 0.35;
+}
+
+// Tier plus the retention and prize multiplier a payment of `amount` SOL gets
+export function getTierTerms(amount) {
+  const tier = getTier(amount);
+  if (tier === TIERS.WHALE) {
+    return { tier, retention: getWhaleRetention(amount), multiplier: getWhaleMultiplier(amount) };
+  }
+  return { tier, retention: tier.retention, multiplier: tier.multiplier };
+}
+
+// === VOTE WEIGHTS ===
+// What one vote counts for under each voting mode, given the SOL the voter
+// paid into the round: equal (one person, one vote), amount (linear in SOL),
+// multiplier (the voter's tier multiplier) or quadratic (square root of SOL).
+export function getVoteWeight(mode, amount) {
+  if (mode === "amount") return amount;
+  if (mode === "multiplier") return getTierTerms(amount).multiplier;
+  if (mode === "quadratic") return Math.sqrt(amount);
+  return 1;
+}
+
+// === TREASURY BONUS ===
+// Dynamic treasury bonus percentage based on ACTUAL treasury size
+export function getTreasuryBonusPercentage(treasuryBalance) {
+  if (treasuryBalance < 100000) return 0.20;      // 20% for small treasury (< 100k)
+  if (treasuryBalance < 500000) return 0.15;      // 15% for medium treasury (100k-500k)
+  if (treasuryBalance < 1000000) return 0.10;     // 10% for large treasury (500k-1M)
+  if (treasuryBalance < 5000000) return 0.05;     // 5% for very large treasury (1M-5M)
+  return 0.02;                                    // 2% for mega treasury (5M+)
+}
+
+export function calculateTreasuryBonus(treasuryBalance) {
+  return Math.floor(treasuryBalance * getTreasuryBonusPercentage(treasuryBalance));
+}
+
+// 1 in `chance`; `random` can be swapped for a seeded generator
+export function rollTreasuryBonus(chance, random = Math.random) {
+  const roll = Math.floor(random() * chance) + 1;
+  return roll === 1;
+}
+
+// === PROVABLY FAIR BONUS DRAW ===
+// Commit-reveal: the SHA-256 of a secret seed is published when the round
+// starts, together with a Solana slot in the future. At payout the seed is
+// combined with that slot's blockhash, which nobody knew at commit time:
+//   roll = (sha256(seed + ":" + blockhash) as an integer) mod chance + 1
+// and the bonus hits on roll 1. Publishing the seed lets anyone recompute it.
+export function createBonusSeed() {
+  return randomBytes(32).toString("hex");
+}
+
+export function hashBonusSeed(seed) {
+  return createHash("sha256").update(seed).digest("hex");
+}
+
+export function drawTreasuryBonus(seed, blockhash, chance) {
+  const digest = createHash("sha256").update(`${seed}:${blockhash}`).digest("hex");
+  const roll = Number(BigInt(`0x${digest}`) % BigInt(chance)) + 1;
+  return { roll, hit: roll === 1, digest };
+}
+
+// === RANKING & TIE-BREAKS ===
+// Stories are ranked by weighted vote score (plain vote count for entries
+// without one). Stories with the same score are ordered by the tie-break:
+//   earliest - the earlier paid submission wins
+//   amount   - the higher paid amount wins, then the earlier submission
+//   split    - tied stories share the prizes of the places they cover equally
+//   random   - lowest sha256(seed + ":" + blockhash + ":" + userId) wins, using
+//              the round's bonus draw inputs, so the order can be verified
+// "random" without draw inputs (no commitment) falls back to "earliest".
+const SCORE_EPSILON = 1e-9;
+const scoreOf = (entry) => entry.score ?? entry.votes;
+const byEarliest = (a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0) || (a.id ?? 0) - (b.id ?? 0);
+
+export function tieDrawKey(randomKey, entry) {
+  return createHash("sha256").update(`${randomKey}:${entry.userId}`).digest("hex");
+}
+
+// Returns the ranked stories, the tie-break actually applied and every group
+// of two or more stories sharing a score ({ start, entries } by rank position)
+export function rankStories(stories, { tieBreak = "earliest", randomKey = null } = {}) {
+  const applied = tieBreak === "random" && !randomKey ? "earliest" : tieBreak;
+  const breakTie = {
+    earliest: byEarliest,
+    split: byEarliest,  // Only the display order within a shared place
+    amount: (a, b) => b.amount - a.amount || byEarliest(a, b),
+    random: (a, b) => tieDrawKey(randomKey, a).localeCompare(tieDrawKey(randomKey, b))
+  }[applied];
+
+  const ranked = [...stories].sort((a, b) => {
+    const diff = scoreOf(b) - scoreOf(a);
+    return Math.abs(diff) > SCORE_EPSILON ? diff : breakTie(a, b);
+  });
+
+  const ties = [];
+  for (let i = 0; i < ranked.length;) {
+    let j = i + 1;
+    while (j < ranked.length && Math.abs(scoreOf(ranked[i]) - scoreOf(ranked[j])) <= SCORE_EPSILON) j++;
+    if (j - i > 1) ties.push({ start: i, entries: ranked.slice(i, j) });
+    i = j;
+  }
+
+  return { ranked, tieBreak: applied, ties };
+}
+
+// === ROUND PAYOUTS ===
+// Splits a round pool between the top stories (see rankStories) and the
+// voters who backed the winner, never paying out more than the pool itself.
+//
+// The prize pool is divided by place weight; only the weight of places that
+// were actually filled is handed out. Inside that budget each winner's share
+// is weight × tier multiplier, normalised so a whale multiplier takes a larger
+// slice instead of adding SUNO on top. Voters get the voter pool pro rata to
+// what they paid. Whatever is not paid (unfilled places, a voter pool nobody
+// earned, rounding dust) is returned as `leftover` for the caller's policy.
+// `bonusAmount` comes from the permanent treasury and is added to first place
+// on top of its share of the pool (shared equally under a split tie for first).
+// Each winner's `share` is that normalised pool share, so share + bonus = amount.
+export function computeRoundPayouts({
+  stories, voters, roundPool, prizeShare, prizeWeights, bonusAmount = 0, tieBreak = "earliest", randomKey = null
+}) {
+  const ranking = rankStories(stories, { tieBreak, randomKey });
+  const sorted = ranking.ranked;
+  const numWinners = Math.min(prizeWeights.length, sorted.length);
+  // Ties that decide who gets paid what; ties below the paid places don't matter
+  const ties = ranking.ties.filter(t => t.start < numWinners);
+
+  const prizePool = Math.floor(roundPool * prizeShare);
+  const voterPool = roundPool - prizePool;
+
+  const filledWeight = prizeWeights.slice(0, numWinners).reduce((sum, w) => sum + w, 0);
+  const placesBudget = Math.min(prizePool, Math.floor(prizePool * filledWeight));
+  const weighted = sorted.slice(0, numWinners).map((entry, i) => prizeWeights[i] * entry.multiplier);
+  const weightedTotal = weighted.reduce((sum, w) => sum + w, 0);
+  const shares = weighted.map(w => (weightedTotal > 0 ? Math.floor(placesBudget * w / weightedTotal) : 0));
+
+  const splitTies = ranking.tieBreak === "split" ? ties : [];
+  const inSplitTie = (i) => splitTies.some(t => i >= t.start && i < t.start + t.entries.length);
+
+  const winners = [];
+  for (let i = 0; i < numWinners; i++) {
+    if (inSplitTie(i)) continue;
+    const bonus = i === 0 ? bonusAmount : 0;
+    winners.push({ place: i + 1, entry: sorted[i], share: shares[i], bonus, amount: shares[i] + bonus, shared: false });
+  }
+
+  // Every story in a split tie gets an equal part of the places it covers,
+  // including stories tied just below the last paid place
+  for (const tie of splitTies) {
+    const covered = [];
+    for (let i = tie.start; i < Math.min(tie.start + tie.entries.length, numWinners); i++) covered.push(i);
+    const pooled = covered.reduce((sum, i) => sum + shares[i], 0);
+    const pooledBonus = tie.start === 0 ? bonusAmount : 0;
+    const n = tie.entries.length;
+
+    tie.entries.forEach((entry, k) => {
+      const bonus = Math.floor(pooledBonus / n) + (k === 0 ? pooledBonus % n : 0);
+      const share = Math.floor(pooled / n);
+      winners.push({ place: tie.start + 1, entry, share, bonus, amount: share + bonus, shared: true });
+    });
+  }
+  winners.sort((a, b) => a.place - b.place);
+
+  // Voters who backed the winner, or any of the stories sharing first place
+  const firstPlace = winners.filter(w => w.place === 1).map(w => w.entry);
+  const winner = sorted[0] || null;
+  const firstPlaceIds = new Set(firstPlace.map(e => e.userId));
+  const winnerVoters = voters.filter(v => firstPlaceIds.has(v.votedFor));
+  const voterRewards = [];
+
+  if (winnerVoters.length > 0 && voterPool > 0) {
+    const totalVoterAmount = winnerVoters.reduce((sum, v) => sum + v.amount, 0);
+    for (const entry of winnerVoters) {
+      voterRewards.push({ entry, amount: Math.floor((entry.amount / totalVoterAmount) * voterPool) });
+    }
+  }
+
+  const totalPrizes = winners.reduce((sum, w) => sum + w.amount - w.bonus, 0);
+  const totalVoterRewards = voterRewards.reduce((sum, r) => sum + r.amount, 0);
+  const unfilled = prizePool - placesBudget;
+  const unclaimedVoterPool = voterRewards.length ? 0 : voterPool;
+
+  return {
+    prizePool,
+    voterPool,
+    winner,
+    firstPlace,
+    winners,
+    winnerVoters,
+    voterRewards,
+    tieBreak: ranking.tieBreak,
+    ties,
+    totalPrizes,          // Paid from the round pool (bonus excluded)
+    totalVoterRewards,
+    totalFromPool: totalPrizes + totalVoterRewards,
+    leftover: {
+      unfilled,           // Weight of places nobody filled (and weights summing below 1)
+      unclaimedVoterPool, // Nobody backed the winner
+      dust: roundPool - totalPrizes - totalVoterRewards - unfilled - unclaimedVoterPool,
+      total: roundPool - totalPrizes - totalVoterRewards
+    }
+  };
+}
@@ -0,0 +1,398 @@
+// sandbox.js — offline stand-ins for Solana, the swap providers and Telegram (DRY_RUN mode)
+//
+// The ledger keeps SOL and SPL token balances in memory and records every
+// transaction in the same parsed shape the RPC returns, so payment verification,
+// buy attribution and payout reconciliation run unchanged against it.
+//
+// Driving a round (DRY_RUN=1, short timings via SUBMISSION_MINUTES etc.):
+//   POST /webhook/sandbox       Telegram updates (/start, callback queries, story text)
+//   POST /sandbox/pay           { wallet, amount, reference } → { signature }
+//   POST /confirm-payment       as the payment page would, with that signature
+//   GET  /sandbox/outbox        everything the bot "sent" (?since=<id>)
+//   GET  /sandbox/ledger        SOL and token balances
+//
+// Bonus draws read blockhashes from createSandboxBlockhashSource instead of the chain.
+import TelegramBot from "node-telegram-bot-api";
+import { createHash, randomBytes } from "crypto";
+import {
+  PublicKey,
+  Transaction,
+  SystemProgram,
+  SystemInstruction,
+} from "@solana/web3.js";
+import {
+  TOKEN_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  getAssociatedTokenAddressSync,
+  decodeTransferInstruction,
+} from "@solana/spl-token";
+import bs58 from "bs58";
+
+const TOKEN_DECIMALS = 6;
+const TX_FEE = 5000n;         // Lamports charged to the fee payer per transaction
+const SLOT_TIME = 400;        // Block height advances like mainnet (~2.5 blocks/s)
+const BLOCKHASH_LIFETIME = 150;
+const OUTBOX_LIMIT = 1000;
+const SWAP_POOL = "SandboxSwapPoo1111111111111111111111111111"; // Receives the SOL side of sandbox buys
+
+const toKey = (address) => (typeof address === "string" ? address : address.toBase58());
+const randomSignature = () => bs58.encode(randomBytes(64));
+
+// === LEDGER ===
+export class SandboxLedger {
+  constructor() {
+    this.lamports = new Map();       // address → bigint
+    this.tokenAccounts = new Map();  // token account → { owner, mint, amount: bigint }
+    this.transactions = new Map();   // signature → parsed transaction
+    this.startedAt = Date.now();
+  }
+
+  get blockHeight() {
+    return Math.floor((Date.now() - this.startedAt) / SLOT_TIME);
+  }
+
+  getLamports(address) {
+    return this.lamports.get(toKey(address)) ?? 0n;
+  }
+
+  airdrop(address, lamports) {
+    const key = toKey(address);
+    this.lamports.set(key, this.getLamports(key) + BigInt(lamports));
+  }
+
+  tokenAccountFor(owner, mint) {
+    const address = getAssociatedTokenAddressSync(new PublicKey(toKey(mint)), new PublicKey(toKey(owner)), true).toBase58();
+    if (!this.tokenAccounts.has(address)) return { address, account: null };
+    return { address, account: this.tokenAccounts.get(address) };
+  }
+
+  getTokenBalance(owner, mint) {
+    return this.tokenAccountFor(owner, mint).account?.amount ?? 0n;
+  }
+
+  // Applies `changes` atomically and records the transaction. `changes` is a list of
+  // { sol: [from, to, lamports] } / { token: [fromAccount, toAccount, amount] } /
+  // { createTokenAccount: [address, owner, mint] } / { mintTo: [owner, mint, amount] }.
+  record({ signature = randomSignature(), feePayer, accountKeys = [], instructions = [], changes = [] }) {
+    const touchedTokenAccounts = new Set();
+    const lamports = new Map(this.lamports);
+    const tokenAccounts = new Map([...this.tokenAccounts].map(([k, v]) => [k, { ...v }]));
+    let err = null;
+
+    const debit = (address, amount) => {
+      const balance = lamports.get(address) ?? 0n;
+      if (balance < amount) throw { InstructionError: [0, { Custom: 1 }] }; // insufficient lamports
+      lamports.set(address, balance - amount);
+    };
+
+    try {
+      debit(toKey(feePayer), TX_FEE);
+      for (const change of changes) {
+        if (change.sol) {
+          const [from, to, amount] = change.sol.map((v, i) => (i < 2 ? toKey(v) : BigInt(v)));
+          debit(from, amount);
+          lamports.set(to, (lamports.get(to) ?? 0n) + amount);
+        } else if (change.createTokenAccount) {
+          const [address, owner, mint] = change.createTokenAccount.map(toKey);
+          if (!tokenAccounts.has(address)) tokenAccounts.set(address, { owner, mint, amount: 0n });
+          touchedTokenAccounts.add(address);
+        } else if (change.mintTo) {
+          const [owner, mint] = change.mintTo.slice(0, 2).map(toKey);
+          const { address } = this.tokenAccountFor(owner, mint);
+          const account = tokenAccounts.get(address) ?? { owner, mint, amount: 0n };
+          account.amount += BigInt(change.mintTo[2]);
+          tokenAccounts.set(address, account);
+          touchedTokenAccounts.add(address);
+        } else if (change.token) {
+          const [from, to] = change.token.slice(0, 2).map(toKey);
+          const amount = BigInt(change.token[2]);
+          const source = tokenAccounts.get(from);
+          const destination = tokenAccounts.get(to);
+          if (!source || !destination) throw { InstructionError: [0, "InvalidAccountData"] };
+          if (source.amount < amount) throw { InstructionError: [0, { Custom: 1 }] }; // Token: insufficient funds
+          source.amount -= amount;
+          destination.amount += amount;
+          touchedTokenAccounts.add(from);
+          touchedTokenAccounts.add(to);
+        }
+      }
+    } catch (e) {
+      err = e;
+    }
+
+    const keys = [...new Set([toKey(feePayer), ...accountKeys.map(toKey), ...touchedTokenAccounts])];
+    const tokenBalances = (accounts) => [...touchedTokenAccounts]
+      .filter(address => accounts.has(address))
+      .map(address => {
+        const { owner, mint, amount } = accounts.get(address);
+        return {
+          accountIndex: keys.indexOf(address),
+          mint,
+          owner,
+          uiTokenAmount: {
+            amount: amount.toString(),
+            decimals: TOKEN_DECIMALS,
+            uiAmount: Number(amount) / 10 ** TOKEN_DECIMALS,
+            uiAmountString: (Number(amount) / 10 ** TOKEN_DECIMALS).toString()
+          }
+        };
+      });
+
+    const preTokenBalances = tokenBalances(this.tokenAccounts);
+
+    if (err) {
+      // A failed transaction still pays its fee
+      const balance = this.getLamports(feePayer);
+      if (balance >= TX_FEE) this.lamports.set(toKey(feePayer), balance - TX_FEE);
+    } else {
+      this.lamports = lamports;
+      this.tokenAccounts = tokenAccounts;
+    }
+
+    this.transactions.set(signature, {
+      slot: this.blockHeight,
+      blockTime: Math.floor(Date.now() / 1000),
+      transaction: {
+        signatures: [signature],
+        message: {
+          accountKeys: keys.map((key, i) => ({ pubkey: new PublicKey(key), signer: i === 0, writable: true })),
+          instructions
+        }
+      },
+      meta: {
+        err,
+        fee: Number(TX_FEE),
+        innerInstructions: [],
+        preTokenBalances,
+        postTokenBalances: err ? preTokenBalances : tokenBalances(this.tokenAccounts)
+      }
+    });
+
+    return { signature, err };
+  }
+
+  // A user paying `lamports` to `to`, tagged with the payment reference key.
+  // User wallets are topped up on demand — only the treasury's balances matter.
+  pay({ from, to, lamports, reference }) {
+    const needed = BigInt(lamports) + TX_FEE;
+    if (this.getLamports(from) < needed) this.airdrop(from, needed - this.getLamports(from));
+
+    return this.record({
+      feePayer: from,
+      accountKeys: [to, reference],
+      instructions: [{
+        program: "system",
+        programId: SystemProgram.programId,
+        parsed: { type: "transfer", info: { source: toKey(from), destination: toKey(to), lamports: Number(lamports) } }
+      }],
+      changes: [{ sol: [from, to, lamports] }]
+    }).signature;
+  }
+
+  // Applies a signed legacy transaction built by the bot (SOL and token payouts)
+  applyTransaction(tx) {
+    const signature = bs58.encode(tx.signature);
+    const changes = [];
+    const instructions = [];
+
+    for (const ix of tx.instructions) {
+      if (ix.programId.equals(SystemProgram.programId) && SystemInstruction.decodeInstructionType(ix) === "Transfer") {
+        const { fromPubkey, toPubkey, lamports } = SystemInstruction.decodeTransfer(ix);
+        changes.push({ sol: [fromPubkey, toPubkey, lamports] });
+        instructions.push({
+          program: "system",
+          programId: SystemProgram.programId,
+          parsed: { type: "transfer", info: { source: fromPubkey.toBase58(), destination: toPubkey.toBase58(), lamports: Number(lamports) } }
+        });
+      } else if (ix.programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)) {
+        const [, address, owner, mint] = ix.keys.map(k => k.pubkey);
+        changes.push({ createTokenAccount: [address, owner, mint] });
+      } else if (ix.programId.equals(TOKEN_PROGRAM_ID)) {
+        const { keys, data } = decodeTransferInstruction(ix);
+        changes.push({ token: [keys.source.pubkey, keys.destination.pubkey, data.amount] });
+      }
+    }
+
+    return this.record({ signature, feePayer: tx.feePayer, instructions, changes });
+  }
+
+  snapshot() {
+    return {
+      blockHeight: this.blockHeight,
+      sol: Object.fromEntries([...this.lamports].map(([k, v]) => [k, Number(v) / 1e9])),
+      tokens: [...this.tokenAccounts].map(([address, { owner, mint, amount }]) => ({
+        address,
+        owner,
+        mint,
+        amount: Number(amount) / 10 ** TOKEN_DECIMALS
+      })),
+      transactions: this.transactions.size
+    };
+  }
+}
+
+// === CONNECTION ===
+// The subset of @solana/web3.js Connection that the bot uses.
+export class SandboxConnection {
+  constructor(ledger, { failRate = 0 } = {}) {
+    this.ledger = ledger;
+    this.failRate = failRate;
+  }
+
+  async getLatestBlockhash() {
+    return {
+      blockhash: bs58.encode(randomBytes(32)),
+      lastValidBlockHeight: this.ledger.blockHeight + BLOCKHASH_LIFETIME
+    };
+  }
+
+  async getBlockHeight() {
+    return this.ledger.blockHeight;
+  }
+
+  // Sends can be made to fail before anything lands, to exercise payout retries
+  async sendRawTransaction(raw) {
+    if (Math.random() < this.failRate) {
+      throw new Error("Sandbox: simulated RPC send failure");
+    }
+    const tx = Transaction.from(raw);
+    return this.ledger.applyTransaction(tx).signature;
+  }
+
+  async confirmTransaction(strategy) {
+    const signature = typeof strategy === "string" ? strategy : strategy.signature;
+    const tx = this.ledger.transactions.get(signature);
+    if (!tx) throw new Error(`Sandbox: transaction ${signature.substring(0, 8)}... was never sent`);
+    return { context: { slot: tx.slot }, value: { err: tx.meta.err } };
+  }
+
+  async getSignatureStatus(signature) {
+    const tx = this.ledger.transactions.get(signature);
+    if (!tx) return { context: { slot: this.ledger.blockHeight }, value: null };
+    return {
+      context: { slot: this.ledger.blockHeight },
+      value: { slot: tx.slot, confirmations: null, err: tx.meta.err, confirmationStatus: "finalized" }
+    };
+  }
+
+  async getParsedTransaction(signature) {
+    return this.ledger.transactions.get(signature) ?? null;
+  }
+
+  // Only token accounts exist; anything else (e.g. the pump.fun bonding curve) is missing
+  async getAccountInfo(address) {
+    const account = this.ledger.tokenAccounts.get(toKey(address));
+    if (!account) return null;
+    return { owner: TOKEN_PROGRAM_ID, lamports: 2039280, executable: false, data: Buffer.alloc(165) };
+  }
+
+  async getTokenAccountBalance(address) {
+    const account = this.ledger.tokenAccounts.get(toKey(address));
+    if (!account) throw new Error("Sandbox: could not find token account");
+    return {
+      context: { slot: this.ledger.blockHeight },
+      value: {
+        amount: account.amount.toString(),
+        decimals: TOKEN_DECIMALS,
+        uiAmount: Number(account.amount) / 10 ** TOKEN_DECIMALS
+      }
+    };
+  }
+}
+
+// === SWAP PROVIDERS ===
+// Both providers sell SUNO at a simulated price that drifts a little on every
+// buy; `spread` makes one provider slightly worse so best-quote has a choice.
+export function createSandboxSwapProviders(ledger, { wallet, mint, sunoPerSOL = 1_000_000, failRate = 0 }) {
+  let price = sunoPerSOL;
+
+  const quoteRaw = (solAmount, spread) =>
+    BigInt(Math.floor(solAmount * price * (1 - spread) * 10 ** TOKEN_DECIMALS));
+
+  const provider = (name, spread) => ({
+    name,
+    quote: async (solAmount) => Math.floor(solAmount * price * (1 - spread)),
+    buy: async (solAmount) => {
+      if (Math.random() < failRate) {
+        throw new Error(`Sandbox: simulated ${name} outage`);
+      }
+      const tokens = quoteRaw(solAmount, spread);
+      const { signature, err } = ledger.record({
+        feePayer: wallet,
+        changes: [
+          { sol: [wallet, SWAP_POOL, Math.floor(solAmount * 1e9)] },
+          { mintTo: [wallet, mint, tokens] }
+        ]
+      });
+      if (err) throw Object.assign(new Error(`Sandbox: ${name} buy failed on-chain`), { signature });
+
+      price *= 1 + (Math.random() - 0.5) * 0.02;
+      console.log(`🧪 [sandbox] ${name} swap: ${solAmount.toFixed(4)} SOL → ${(Number(tokens) / 10 ** TOKEN_DECIMALS).toLocaleString()} SUNO`);
+      return { signature, sunoAmount: Number(tokens / 10n ** BigInt(TOKEN_DECIMALS)) };
+    }
+  });
+
+  return {
+    pumpportal: provider("PumpPortal (sandbox)", 0),
+    jupiter: provider("Jupiter (sandbox)", 0.005)
+  };
+}
+
+// === BLOCKHASHES ===
+// Same interface as the RPC source in index.js. Every sandbox slot produces a
+// block whose hash is derived from the slot number, so draws verify across restarts.
+export function createSandboxBlockhashSource(ledger) {
+  return {
+    getSlot: async () => ledger.blockHeight,
+    getBlockhash: async (slot) => {
+      if (slot > ledger.blockHeight) return null;
+      return { slot, blockhash: bs58.encode(createHash("sha256").update(`sandbox-slot:${slot}`).digest()) };
+    }
+  };
+}
+
+// === TELEGRAM ===
+// Every Bot API call is recorded in `outbox` instead of being sent.
+export class SandboxBot extends TelegramBot {
+  constructor(token = "sandbox") {
+    super(token, { polling: false });
+    this.outbox = [];
+    this.nextOutboxId = 1;
+    this.nextMessageId = 1;
+  }
+
+  _request(method, options = {}) {
+    const form = { ...(options.form || options.qs || {}) };
+    const entry = { id: this.nextOutboxId++, method, at: Date.now(), ...form };
+    this.outbox.push(entry);
+    if (this.outbox.length > OUTBOX_LIMIT) this.outbox.shift();
+
+    if (method === "sendMessage" || method === "sendAudio") {
+      const messageId = this.nextMessageId++;
+      entry.message_id = messageId;
+      return Promise.resolve({
+        message_id: messageId,
+        date: Math.floor(entry.at / 1000),
+        chat: { id: form.chat_id },
+        text: form.text,
+        caption: form.caption
+      });
+    }
+    if (method === "editMessageText" || method === "editMessageCaption") {
+      return Promise.resolve({ message_id: form.message_id, chat: { id: form.chat_id }, text: form.text, caption: form.caption });
+    }
+    return Promise.resolve(true);
+  }
+}
+
+// === SANDBOX ===
+export function createSandbox({ token, failRate = 0 } = {}) {
+  const ledger = new SandboxLedger();
+  return {
+    ledger,
+    connection: new SandboxConnection(ledger, { failRate }),
+    bot: new SandboxBot(token),
+    blockhashSource: createSandboxBlockhashSource(ledger),
+    createSwapProviders: (options) => createSandboxSwapProviders(ledger, { failRate, ...options })
+  };
+}
@@ -0,0 +1,294 @@
+// simulate.js — preview what announceWinners would pay, without sending anything
+//
+//   node simulate.js --snapshot submissions.json     legacy JSON state file
+//   node simulate.js --db sunolabs.db [--round 12]   a round from the SQLite store (current by default)
+//   node simulate.js --stories 5 --voters 20         generated scenario with random tiers and votes
+//
+// Options: --seed N (bonus roll and scenario, default 1), --pool N (override the
+// round pool), --treasury N (override the permanent treasury), --price N (SUNO
+// per SOL for generated scenarios), --force-bonus, --json
+import fs from "fs";
+import { config } from "./config.js";
+import { openStore, getMeta, getRound, listEntries } from "./store.js";
+import {
+  TIERS,
+  getTierTerms,
+  getVoteWeight,
+  calculateTreasuryBonus,
+  rollTreasuryBonus,
+  computeRoundPayouts,
+} from "./prizes.js";
+
+// === ARGUMENTS ===
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) throw new Error(`Unexpected argument: ${argv[i]}`);
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+function numberArg(args, key, fallback) {
+  if (args[key] === undefined) return fallback;
+  const value = Number(args[key]);
+  if (!Number.isFinite(value) || value < 0) throw new Error(`--${key} must be a non-negative number`);
+  return value;
+}
+
+// === SEEDED RANDOM (mulberry32) ===
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// === SCENARIO SOURCES ===
+// Each returns { label, stories, voters, roundPool, treasuryBalance, randomKey }
+// (randomKey feeds the "random" tie-break, see prizes.js)
+function loadSnapshot(file) {
+  const d = JSON.parse(fs.readFileSync(file, "utf8"));
+  const stories = (d.participants || []).filter(p => p.paid !== false && (p.choice || "story") === "story");
+  const voters = (d.voters || []).filter(v => v.paid !== false);
+
+  return {
+    label: `snapshot ${file}`,
+    stories: stories.map(p => ({ ...p, userId: String(p.userId), votes: p.votes ?? (p.voters || []).length })),
+    voters: voters.map(v => ({ ...v, userId: String(v.userId), votedFor: v.votedFor != null ? String(v.votedFor) : null })),
+    roundPool: d.treasurySUNO || 0,
+    treasuryBalance: d.actualTreasuryBalance || 0,
+    randomKey: null
+  };
+}
+
+function loadRoundFromStore(file, roundArg) {
+  openStore(file, { readonly: true });
+  const currentRoundId = getMeta("currentRoundId");
+  const roundId = roundArg !== undefined ? Number(roundArg) : currentRoundId;
+  const round = getRound(roundId);
+  if (!round) throw new Error(`Round #${roundId} not found in ${file}`);
+
+  // Finished rounds keep their pool on the round; the running one only in meta
+  const isCurrent = roundId === currentRoundId && !round.endedAt;
+  return {
+    label: `round #${roundId} from ${file}${isCurrent ? " (in progress)" : ""}`,
+    stories: listEntries(roundId, "story").filter(p => p.paid),
+    voters: listEntries(roundId, "vote"),
+    roundPool: isCurrent ? getMeta("treasurySUNO", 0) : round.prizePool,
+    treasuryBalance: isCurrent ? getMeta("actualTreasuryBalance", 0) : (round.treasuryBalance ?? getMeta("actualTreasuryBalance", 0)),
+    randomKey: round.bonusBlockhash ? `${round.bonusSeed}:${round.bonusBlockhash}` : null
+  };
+}
+
+function generateScenario({ stories: storyCount, voters: voterCount, price, treasuryBalance }, random) {
+  const tiers = Object.values(TIERS);
+  const { transFeeShare, roundPoolShare } = config.economics;
+  let roundPool = 0;
+
+  // Random tier, then a random amount inside it (whales capped at 5 SOL)
+  const makePayment = () => {
+    const tier = tiers[Math.floor(random() * tiers.length)];
+    const max = Math.min(tier.max, 5);
+    const amount = +(tier.min + random() * (max - tier.min)).toFixed(3);
+    const terms = getTierTerms(amount);
+    const bought = Math.floor(amount * (1 - transFeeShare) * price);
+    roundPool += Math.floor((bought - Math.floor(bought * terms.retention)) * roundPoolShare);
+    return { amount, tier: terms.tier.name, tierBadge: terms.tier.badge, multiplier: terms.multiplier };
+  };
+
+  const stories = Array.from({ length: storyCount }, (_, i) => ({
+    id: i + 1,
+    userId: `story-${i + 1}`,
+    user: `@story${i + 1}`,
+    wallet: `wallet-story-${i + 1}`,
+    timestamp: i + 1,
+    votes: 0,
+    score: 0,
+    ...makePayment()
+  }));
+
+  // Votes lean towards earlier stories so rounds have a clear winner and a tail
+  const voters = Array.from({ length: voterCount }, (_, i) => {
+    const target = storyCount ? stories[Math.floor(random() ** 2 * storyCount)] : null;
+    const payment = makePayment();
+    if (target) {
+      target.votes++;
+      target.score += getVoteWeight(config.voting.mode, payment.amount);
+    }
+    return {
+      id: storyCount + i + 1,
+      userId: `voter-${i + 1}`,
+      user: `@voter${i + 1}`,
+      wallet: `wallet-voter-${i + 1}`,
+      votedFor: target?.userId ?? null,
+      ...payment
+    };
+  });
+
+  return {
+    label: `generated: ${storyCount} stories, ${voterCount} voters`,
+    stories,
+    voters,
+    roundPool,
+    treasuryBalance,
+    randomKey: `simulate:${random().toString(36).slice(2)}`
+  };
+}
+
+// === OUTPUT ===
+const fmt = (n) => Math.round(n).toLocaleString("en-US");
+const pct = (share) => `${+(share * 100).toFixed(2)}%`;
+
+function printTable(rows) {
+  const headers = Object.keys(rows[0]);
+  const widths = headers.map(h => Math.max(h.length, ...rows.map(r => String(r[h]).length)));
+  const line = (cells) => cells.map((c, i) => String(c).padEnd(widths[i])).join("  ");
+  console.log(line(headers));
+  console.log(widths.map(w => "-".repeat(w)).join("  "));
+  for (const row of rows) console.log(line(headers.map(h => row[h])));
+}
+
+// === MAIN ===
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const seed = numberArg(args, "seed", 1);
+  const random = createRandom(seed);
+
+  let scenario;
+  if (args.snapshot) {
+    scenario = loadSnapshot(args.snapshot);
+  } else if (args.db) {
+    scenario = loadRoundFromStore(args.db, args.round);
+  } else if (args.stories !== undefined || args.voters !== undefined) {
+    scenario = generateScenario({
+      stories: Math.floor(numberArg(args, "stories", 5)),
+      voters: Math.floor(numberArg(args, "voters", 20)),
+      price: numberArg(args, "price", 1_000_000),
+      treasuryBalance: numberArg(args, "treasury", 500_000)
+    }, random);
+  } else {
+    throw new Error("Pass --snapshot <file>, --db <file> or --stories N --voters M (see the header of simulate.js)");
+  }
+
+  const roundPool = numberArg(args, "pool", scenario.roundPool);
+  const treasuryBalance = numberArg(args, "treasury", scenario.treasuryBalance);
+  const bonusHit = args["force-bonus"] === true || rollTreasuryBonus(config.bonus.chance, random);
+  const bonusAmount = bonusHit ? calculateTreasuryBonus(treasuryBalance) : 0;
+
+  const result = computeRoundPayouts({
+    stories: scenario.stories,
+    voters: scenario.voters,
+    roundPool,
+    prizeShare: config.economics.prizeShare,
+    prizeWeights: config.economics.prizeWeights,
+    bonusAmount,
+    tieBreak: config.voting.tieBreak,
+    randomKey: scenario.randomKey
+  });
+
+  const rows = [
+    ...result.winners.map(w => ({
+      recipient: w.entry.user || w.entry.userId,
+      role: `Prize #${w.place}${w.shared ? " (shared)" : ""}`,
+      tier: `${w.entry.tierBadge || ""} ${w.entry.tier || ""}`.trim(),
+      paidSOL: w.entry.amount,
+      votes: w.entry.votes,
+      score: +(w.entry.score ?? w.entry.votes).toFixed(3),
+      share: w.share,
+      multiplier: w.entry.multiplier,
+      bonus: w.bonus,
+      payout: w.amount
+    })),
+    ...result.voterRewards.map(r => ({
+      recipient: r.entry.user || r.entry.userId,
+      role: "Voter reward",
+      tier: `${r.entry.tierBadge || ""} ${r.entry.tier || ""}`.trim(),
+      paidSOL: r.entry.amount,
+      votes: null,
+      score: null,
+      share: null,
+      multiplier: null,
+      bonus: 0,
+      payout: r.amount
+    }))
+  ];
+
+  const difference = roundPool - result.totalFromPool;
+
+  if (args.json) {
+    console.log(JSON.stringify({
+      scenario: scenario.label,
+      seed,
+      roundPool,
+      treasuryBalance,
+      bonus: { hit: bonusHit, amount: bonusAmount },
+      tieBreak: result.tieBreak,
+      ties: result.ties.map(t => ({ place: t.start + 1, recipients: t.entries.map(e => e.user || e.userId) })),
+      prizePool: result.prizePool,
+      voterPool: result.voterPool,
+      payouts: rows,
+      totals: {
+        prizes: result.totalPrizes,
+        voterRewards: result.totalVoterRewards,
+        fromPool: result.totalFromPool,
+        difference
+      },
+      leftover: { ...result.leftover, policy: config.economics.leftover }
+    }, null, 2));
+    return;
+  }
+
+  console.log(`🎲 Simulating ${scenario.label} (seed ${seed}, ${config.voting.mode} voting)`);
+  console.log(`   ${scenario.stories.length} paid stories, ${scenario.voters.length} voters, ${result.winnerVoters.length} backed the winner\n`);
+
+  if (rows.length) {
+    printTable(rows.map(r => ({
+      ...r,
+      votes: r.votes ?? "-",
+      score: r.score ?? "-",
+      share: r.share === null ? "-" : fmt(r.share),
+      multiplier: r.multiplier === null ? "-" : `×${(+r.multiplier).toFixed(3)}`,
+      bonus: fmt(r.bonus),
+      payout: fmt(r.payout)
+    })));
+  }
+  else console.log("(no payouts)");
+
+  if (result.ties.length) console.log("");
+  for (const tie of result.ties) {
+    console.log(`⚖️ Tie for #${tie.start + 1}: ${tie.entries.map(e => e.user || e.userId).join(", ")} → ${result.tieBreak}`);
+  }
+
+  console.log(`\n💰 Round pool (treasurySUNO): ${fmt(roundPool)} SUNO`);
+  console.log(`   Prize pool (${pct(config.economics.prizeShare)}): ${fmt(result.prizePool)}   Voter pool: ${fmt(result.voterPool)}`);
+  console.log(`   Paid from pool: ${fmt(result.totalFromPool)} (prizes ${fmt(result.totalPrizes)} + voter rewards ${fmt(result.totalVoterRewards)})`);
+  console.log(`🎰 Bonus: ${bonusHit ? `HIT — ${fmt(bonusAmount)} SUNO from the ${fmt(treasuryBalance)} SUNO treasury` : "no hit"} (1/${config.bonus.chance})`);
+
+  if (difference < 0) {
+    console.log(`\n⚠️ Payouts exceed the round pool by ${fmt(-difference)} SUNO`);
+  } else {
+    const { unfilled, unclaimedVoterPool, dust } = result.leftover;
+    const destination = config.economics.leftover === "treasury" ? "the treasury" : "the next round";
+    console.log(`\n♻️ Leftover ${fmt(difference)} SUNO → ${destination}`);
+    console.log(`   Unfilled places: ${fmt(unfilled)}   Unclaimed voter pool: ${fmt(unclaimedVoterPool)}   Dust: ${fmt(dust)}`);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,899 @@
+// store.js — SQLite-backed state for rounds, entries, votes, payments and payouts
+import Database from "better-sqlite3";
+import fs from "fs";
+
+let db = null;
+
+// === SCHEMA ===
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS rounds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at INTEGER NOT NULL,
+    ended_at INTEGER,
+    prize_pool INTEGER NOT NULL DEFAULT 0
+  );
+
+  CREATE TABLE IF NOT EXISTS payments (
+    reference TEXT PRIMARY KEY,
+    round_id INTEGER,
+    user_id TEXT NOT NULL,
+    choice TEXT NOT NULL DEFAULT 'vote',
+    user TEXT,
+    story TEXT,
+    signature TEXT,
+    amount REAL,
+    wallet TEXT,
+    status TEXT NOT NULL DEFAULT 'open',
+    confirmed INTEGER NOT NULL DEFAULT 0,
+    paid INTEGER NOT NULL DEFAULT 0,
+    refund_payout_id INTEGER,
+    refund_asset TEXT,
+    refund_amount REAL,
+    refund_reason TEXT,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS payments_round ON payments (round_id, user_id);
+
+  CREATE TABLE IF NOT EXISTS used_signatures (
+    signature TEXT PRIMARY KEY,
+    reference TEXT,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    round_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL,
+    reference TEXT,
+    choice TEXT NOT NULL,
+    user TEXT,
+    story TEXT,
+    wallet TEXT,
+    amount REAL NOT NULL DEFAULT 0,
+    suno_received INTEGER NOT NULL DEFAULT 0,
+    tier TEXT,
+    tier_badge TEXT,
+    retention TEXT,
+    multiplier REAL NOT NULL DEFAULT 1,
+    voted_for TEXT,
+    paid INTEGER NOT NULL DEFAULT 1,
+    timestamp INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS entries_round ON entries (round_id, choice);
+
+  CREATE TABLE IF NOT EXISTS votes (
+    round_id INTEGER NOT NULL,
+    voter_id TEXT NOT NULL,
+    entry_user_id TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (round_id, voter_id, entry_user_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS payouts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    asset TEXT NOT NULL,
+    destination TEXT NOT NULL,
+    amount REAL NOT NULL,
+    reason TEXT,
+    user_id TEXT,
+    reference TEXT,
+    notify TEXT,
+    notified INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    signature TEXT,
+    signatures TEXT NOT NULL DEFAULT '[]',
+    blockhash TEXT,
+    last_valid_block_height INTEGER,
+    last_error TEXT,
+    next_attempt_at INTEGER,
+    created_at INTEGER NOT NULL,
+    sent_at INTEGER,
+    confirmed_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS payouts_status ON payouts (status);
+
+  CREATE TABLE IF NOT EXISTS round_steps (
+    round_id INTEGER NOT NULL,
+    step TEXT NOT NULL,
+    done_at INTEGER NOT NULL,
+    PRIMARY KEY (round_id, step)
+  );
+
+  CREATE TABLE IF NOT EXISTS bans (
+    user_id TEXT PRIMARY KEY,
+    banned_by TEXT,
+    reason TEXT,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS users (
+    user_id TEXT PRIMARY KEY,
+    language TEXT,
+    language_code TEXT,
+    updated_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS player_stats (
+    user_id TEXT PRIMARY KEY,
+    story_rounds INTEGER NOT NULL DEFAULT 0,
+    vote_rounds INTEGER NOT NULL DEFAULT 0,
+    last_story_round INTEGER,
+    last_vote_round INTEGER,
+    sol_paid REAL NOT NULL DEFAULT 0,
+    suno_received INTEGER NOT NULL DEFAULT 0,
+    prizes TEXT,
+    prize_suno INTEGER NOT NULL DEFAULT 0,
+    voter_rewards INTEGER NOT NULL DEFAULT 0,
+    voter_reward_suno INTEGER NOT NULL DEFAULT 0,
+    tiers TEXT,
+    wallets TEXT,
+    updated_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS referral_rewards (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    referrer_id TEXT NOT NULL,
+    referred_id TEXT NOT NULL,
+    reference TEXT NOT NULL UNIQUE,
+    asset TEXT NOT NULL,
+    amount REAL NOT NULL,
+    payout_id INTEGER,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS referral_rewards_referrer ON referral_rewards (referrer_id);
+
+  CREATE TABLE IF NOT EXISTS admin_actions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    admin_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    details TEXT,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS treasury_ops (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    label TEXT NOT NULL,
+    reference TEXT,
+    status TEXT NOT NULL,
+    error TEXT,
+    started_at INTEGER NOT NULL,
+    finished_at INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS outgoing_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    method TEXT NOT NULL,
+    chat_id TEXT NOT NULL,
+    args TEXT NOT NULL,
+    priority INTEGER NOT NULL,
+    tag TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    not_before INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at INTEGER NOT NULL
+  );
+`;
+
+// Columns added after a table was first created (applied with ALTER TABLE on open)
+const COLUMN_ADDITIONS = {
+  rounds: {
+    voting_started_at: "INTEGER",
+    winners_pool: "INTEGER NOT NULL DEFAULT 0",
+    voter_pool: "INTEGER NOT NULL DEFAULT 0",
+    bonus_hit: "INTEGER NOT NULL DEFAULT 0",
+    bonus_amount: "INTEGER NOT NULL DEFAULT 0",
+    treasury_balance: "INTEGER",
+    payout_started_at: "INTEGER",
+    prizes_paid: "INTEGER",
+    voter_rewards_paid: "INTEGER",
+    leftover: "INTEGER",
+    leftover_policy: "TEXT",
+    bonus_seed: "TEXT",
+    bonus_seed_hash: "TEXT",
+    bonus_slot: "INTEGER",
+    bonus_block_slot: "INTEGER",
+    bonus_blockhash: "TEXT",
+    bonus_chance: "INTEGER",
+    bonus_roll: "INTEGER",
+    tie_break: "TEXT"
+  },
+  entries: {
+    place: "INTEGER",
+    prize: "INTEGER",
+    message_id: "INTEGER",
+    moderation: "TEXT",
+    moderation_reason: "TEXT",
+    moderated_by: "TEXT",
+    track: "TEXT",
+    track_duration: "INTEGER"
+  },
+  payouts: {
+    round_id: "INTEGER",
+    payout_key: "TEXT"
+  },
+  votes: {
+    weight: "REAL"
+  },
+  users: {
+    name: "TEXT",
+    referred_by: "TEXT",
+    referred_at: "INTEGER"
+  },
+  payments: {
+    buy_signature: "TEXT",
+    buy_provider: "TEXT",
+    suno_bought: "INTEGER",
+    suno_user: "INTEGER",
+    suno_round_pool: "INTEGER",
+    suno_treasury: "INTEGER",
+    track: "TEXT",
+    track_duration: "INTEGER",
+    referral_sol: "REAL",
+    unresolved_at: "INTEGER"
+  }
+};
+
+const BOOLEAN_COLUMNS = new Set(["confirmed", "paid", "notified", "bonus_hit"]);
+const JSON_COLUMNS = new Set(["signatures", "args", "prizes", "tiers", "wallets"]);
+const tableColumns = {};
+
+// === ROW MAPPING (snake_case columns ↔ camelCase objects) ===
+const toCamel = (key) => key.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+const toSnake = (key) => key.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`);
+
+function fromRow(row) {
+  if (!row) return null;
+  const obj = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (BOOLEAN_COLUMNS.has(key)) obj[toCamel(key)] = Boolean(value);
+    else if (JSON_COLUMNS.has(key)) obj[toCamel(key)] = JSON.parse(value || "[]");
+    else obj[toCamel(key)] = value;
+  }
+  return obj;
+}
+
+function toRow(table, obj) {
+  const row = {};
+  for (const [key, value] of Object.entries(obj)) {
+    const column = toSnake(key);
+    if (!tableColumns[table].has(column) || value === undefined) continue;
+    if (BOOLEAN_COLUMNS.has(column)) row[column] = value ? 1 : 0;
+    else if (JSON_COLUMNS.has(column)) row[column] = JSON.stringify(value || []);
+    else row[column] = value;
+  }
+  return row;
+}
+
+function insertRow(table, obj) {
+  const row = toRow(table, obj);
+  const columns = Object.keys(row);
+  const result = db
+    .prepare(`INSERT INTO ${table} (${columns.join(", ")}) VALUES (${columns.map(c => `@${c}`).join(", ")})`)
+    .run(row);
+  return Number(result.lastInsertRowid);
+}
+
+function updateRow(table, keyColumn, keyValue, patch) {
+  const row = toRow(table, patch);
+  delete row[keyColumn];
+  const columns = Object.keys(row);
+  if (!columns.length) return;
+  db.prepare(`UPDATE ${table} SET ${columns.map(c => `${c} = @${c}`).join(", ")} WHERE ${keyColumn} = @__key`)
+    .run({ ...row, __key: keyValue });
+}
+
+// === SETUP ===
+// `readonly` opens an existing store for inspection (e.g. simulate.js) without migrating it
+export function openStore(file, { readonly = false } = {}) {
+  if (readonly) {
+    db = new Database(file, { readonly: true, fileMustExist: true });
+  } else {
+    db = new Database(file);
+    db.pragma("journal_mode = WAL");
+    db.exec(SCHEMA);
+  }
+
+  for (const { name } of db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all()) {
+    tableColumns[name] = new Set(db.prepare(`PRAGMA table_info(${name})`).all().map(c => c.name));
+  }
+  if (readonly) return db;
+
+  for (const [table, columns] of Object.entries(COLUMN_ADDITIONS)) {
+    for (const [column, type] of Object.entries(columns)) {
+      if (tableColumns[table].has(column)) continue;
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      tableColumns[table].add(column);
+    }
+  }
+  db.exec("CREATE UNIQUE INDEX IF NOT EXISTS payouts_key ON payouts (payout_key)");
+
+  console.log(`🗄️ State store opened: ${file}`);
+  return db;
+}
+
+export function closeStore() {
+  if (db) db.close();
+  db = null;
+}
+
+// Run `fn` atomically — all writes inside commit together or not at all
+export function withTransaction(fn) {
+  return db.transaction(fn)();
+}
+
+// === META (scalar game state) ===
+export function getMeta(key, fallback = null) {
+  const row = db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+  return row ? JSON.parse(row.value) : fallback;
+}
+
+export function setMeta(values) {
+  const stmt = db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value");
+  withTransaction(() => {
+    for (const [key, value] of Object.entries(values)) {
+      stmt.run(key, JSON.stringify(value ?? null));
+    }
+  });
+}
+
+// === ROUNDS ===
+export function createRound(round) {
+  return insertRow("rounds", round);
+}
+
+export function updateRound(id, patch) {
+  updateRow("rounds", "id", id, patch);
+}
+
+export function getRound(id) {
+  return fromRow(db.prepare("SELECT * FROM rounds WHERE id = ?").get(id));
+}
+
+// Finished rounds, newest first
+export function listRounds(limit, offset = 0) {
+  return db.prepare(
+    `SELECT r.*,
+       (SELECT COUNT(*) FROM entries e WHERE e.round_id = r.id AND e.choice = 'story') AS story_count,
+       (SELECT COUNT(*) FROM entries e WHERE e.round_id = r.id AND e.choice = 'vote') AS voter_count
+     FROM rounds r
+     WHERE r.ended_at IS NOT NULL
+     ORDER BY r.id DESC LIMIT ? OFFSET ?`
+  ).all(limit, offset).map(fromRow);
+}
+
+// Everything recorded about one round: stories with final votes and placements, and its payouts
+export function getRoundArchive(id) {
+  const round = getRound(id);
+  if (!round) return null;
+
+  const stories = db.prepare(`${ENTRY_SELECT} WHERE e.round_id = ? AND e.choice = 'story' ORDER BY e.place IS NULL, e.place, e.id`)
+    .all(id)
+    .map(fromEntryRow);
+  const voterCount = db.prepare("SELECT COUNT(*) AS n FROM entries WHERE round_id = ? AND choice = 'vote'").get(id).n;
+  const payouts = db.prepare("SELECT * FROM payouts WHERE round_id = ? ORDER BY id").all(id).map(fromRow);
+
+  return { ...round, stories, voterCount, payouts };
+}
+
+// Records that a round reached `step` (a phase or a one-time side effect).
+// Returns false if it already had — callers use this to stay idempotent.
+export function markRoundStep(roundId, step) {
+  const result = db.prepare("INSERT OR IGNORE INTO round_steps (round_id, step, done_at) VALUES (?, ?, ?)")
+    .run(roundId, step, Date.now());
+  return result.changes === 1;
+}
+
+export function hasRoundStep(roundId, step) {
+  return Boolean(db.prepare("SELECT 1 FROM round_steps WHERE round_id = ? AND step = ?").get(roundId, step));
+}
+
+// Moves a round's paid voters into another round (used when a round ends without stories)
+export function carryOverVoters(fromRoundId, toRoundId) {
+  db.prepare("UPDATE entries SET round_id = ? WHERE round_id = ? AND choice = 'vote'").run(toRoundId, fromRoundId);
+}
+
+// === PAYMENTS ===
+export function insertPayment(payment) {
+  insertRow("payments", payment);
+}
+
+export function getPayment(reference) {
+  return fromRow(db.prepare("SELECT * FROM payments WHERE reference = ?").get(reference));
+}
+
+export function updatePayment(reference, patch) {
+  updateRow("payments", "reference", reference, patch);
+}
+
+export function findOpenPayment(roundId, userId, choice) {
+  return fromRow(db.prepare(
+    `SELECT * FROM payments
+     WHERE round_id = ? AND user_id = ? AND choice = ? AND status = 'open' AND paid = 0
+     ORDER BY created_at DESC LIMIT 1`
+  ).get(roundId, userId, choice));
+}
+
+export function listOpenPayments(roundId) {
+  return db.prepare("SELECT * FROM payments WHERE round_id = ? AND status = 'open' AND paid = 0 ORDER BY created_at")
+    .all(roundId)
+    .map(fromRow);
+}
+
+// Marks unconfirmed payments created before `cutoff` as expired and returns them
+export function expirePayments(cutoff) {
+  const where = "status = 'open' AND confirmed = 0 AND paid = 0 AND refund_payout_id IS NULL AND created_at < ?";
+  return withTransaction(() => {
+    const expired = db.prepare(`SELECT * FROM payments WHERE ${where}`).all(cutoff).map(fromRow);
+    db.prepare(`UPDATE payments SET status = 'expired' WHERE ${where}`).run(cutoff);
+    return expired;
+  });
+}
+
+// Payments whose SUNO buy was broadcast but never seen to land or fail
+export function listUnresolvedBuys() {
+  return db.prepare("SELECT * FROM payments WHERE status = 'buy_unresolved' ORDER BY created_at")
+    .all()
+    .map(fromRow);
+}
+
+// Closes a finished round's unpaid payments so they can't leak into the next round
+export function closeRoundPayments(roundId) {
+  db.prepare("UPDATE payments SET status = 'closed' WHERE round_id = ? AND status = 'open' AND paid = 0")
+    .run(roundId);
+}
+
+// === SIGNATURES ===
+// Atomically reserves a payment signature; returns false if it was already used
+export function claimSignature(signature, reference) {
+  const result = db.prepare("INSERT OR IGNORE INTO used_signatures (signature, reference, created_at) VALUES (?, ?, ?)")
+    .run(signature, reference, Date.now());
+  return result.changes === 1;
+}
+
+export function releaseSignature(signature) {
+  db.prepare("DELETE FROM used_signatures WHERE signature = ?").run(signature);
+}
+
+// === ENTRIES & VOTES ===
+const ENTRY_SELECT = `
+  SELECT e.*,
+    (SELECT COUNT(*) FROM votes v WHERE v.round_id = e.round_id AND v.entry_user_id = e.user_id) AS votes,
+    (SELECT COALESCE(SUM(COALESCE(v.weight, 1)), 0) FROM votes v WHERE v.round_id = e.round_id AND v.entry_user_id = e.user_id) AS score,
+    (SELECT json_group_array(v.voter_id) FROM votes v WHERE v.round_id = e.round_id AND v.entry_user_id = e.user_id) AS voters
+  FROM entries e`;
+
+function fromEntryRow(row) {
+  const entry = fromRow(row);
+  if (entry) entry.voters = JSON.parse(row.voters || "[]");
+  return entry;
+}
+
+export function insertEntry(entry) {
+  return insertRow("entries", entry);
+}
+
+export function updateEntry(id, patch) {
+  updateRow("entries", "id", id, patch);
+}
+
+export function listEntries(roundId, choice) {
+  return db.prepare(`${ENTRY_SELECT} WHERE e.round_id = ? AND e.choice = ? ORDER BY e.id`)
+    .all(roundId, choice)
+    .map(fromEntryRow);
+}
+
+export function getEntry(roundId, userId, choice) {
+  return fromEntryRow(db.prepare(`${ENTRY_SELECT} WHERE e.round_id = ? AND e.user_id = ? AND e.choice = ?`)
+    .get(roundId, userId, choice));
+}
+
+export function getEntryById(id) {
+  return fromEntryRow(db.prepare(`${ENTRY_SELECT} WHERE e.id = ?`).get(id));
+}
+
+// Latest stories across all rounds, for duplicate detection. Includes stories a
+// moderator rejected, so the same text can't simply be sent again.
+export function listRecentStories(limit) {
+  return db.prepare("SELECT id, round_id, user_id, story FROM entries WHERE story IS NOT NULL ORDER BY id DESC LIMIT ?")
+    .all(limit)
+    .map(fromRow);
+}
+
+// The story a voter currently backs in a round, or null
+export function getVote(roundId, voterId) {
+  const row = db.prepare("SELECT entry_user_id FROM votes WHERE round_id = ? AND voter_id = ? ORDER BY created_at DESC LIMIT 1")
+    .get(roundId, voterId);
+  return row ? row.entry_user_id : null;
+}
+
+// SOL a user has paid into a round across all their entries
+export function getPaidAmount(roundId, userId) {
+  return db.prepare("SELECT COALESCE(SUM(amount), 0) AS total FROM entries WHERE round_id = ? AND user_id = ? AND paid = 1")
+    .get(roundId, userId).total;
+}
+
+// Records a voter's one vote for the round (with its weight, fixed when cast),
+// replacing any earlier vote, and points the voter's entries at the story they
+// picked. Returns the story the vote was moved away from, if any.
+export function recordVote(roundId, voterId, entryUserId, weight = 1) {
+  return withTransaction(() => {
+    const previous = getVote(roundId, voterId);
+    db.prepare("DELETE FROM votes WHERE round_id = ? AND voter_id = ?").run(roundId, voterId);
+    db.prepare("INSERT INTO votes (round_id, voter_id, entry_user_id, created_at, weight) VALUES (?, ?, ?, ?, ?)")
+      .run(roundId, voterId, entryUserId, Date.now(), weight);
+    db.prepare("UPDATE entries SET voted_for = ? WHERE round_id = ? AND user_id = ? AND choice = 'vote'")
+      .run(entryUserId, roundId, voterId);
+    return previous;
+  });
+}
+
+// === PAYOUTS ===
+export function insertPayout(entry) {
+  return insertRow("payouts", entry);
+}
+
+export function savePayout(entry) {
+  updateRow("payouts", "id", entry.id, entry);
+}
+
+export function getPayout(id) {
+  return fromRow(db.prepare("SELECT * FROM payouts WHERE id = ?").get(id));
+}
+
+export function getPayoutByKey(key) {
+  return fromRow(db.prepare("SELECT * FROM payouts WHERE payout_key = ?").get(key));
+}
+
+export function listPayouts(statuses) {
+  return db.prepare(`SELECT * FROM payouts WHERE status IN (${statuses.map(() => "?").join(", ")}) ORDER BY id`)
+    .all(...statuses)
+    .map(fromRow);
+}
+
+export function countPayouts(statuses) {
+  return db.prepare(`SELECT COUNT(*) AS n FROM payouts WHERE status IN (${statuses.map(() => "?").join(", ")})`)
+    .get(...statuses).n;
+}
+
+// === TREASURY OPERATIONS (audit log of the serialized treasury queue) ===
+export function startTreasuryOp(label, reference = null) {
+  return Number(
+    db.prepare("INSERT INTO treasury_ops (label, reference, status, started_at) VALUES (?, ?, 'running', ?)")
+      .run(label, reference, Date.now()).lastInsertRowid
+  );
+}
+
+export function finishTreasuryOp(id, status, error = null) {
+  db.prepare("UPDATE treasury_ops SET status = ?, error = ?, finished_at = ? WHERE id = ?")
+    .run(status, error, Date.now(), id);
+}
+
+// Ops still "running" at startup were cut short by a crash or restart
+export function interruptTreasuryOps() {
+  return db.prepare("UPDATE treasury_ops SET status = 'interrupted', finished_at = ? WHERE status = 'running'")
+    .run(Date.now()).changes;
+}
+
+export function listTreasuryOps(limit = 20) {
+  return db.prepare("SELECT * FROM treasury_ops ORDER BY id DESC LIMIT ?").all(limit).map(fromRow);
+}
+
+// === OUTGOING TELEGRAM MESSAGES ===
+// Delivered messages are deleted; ones Telegram refused stay as "failed"
+export function insertOutgoingMessage(message) {
+  return insertRow("outgoing_messages", message);
+}
+
+export function saveOutgoingMessage(message) {
+  updateRow("outgoing_messages", "id", message.id, message);
+}
+
+export function deleteOutgoingMessage(id) {
+  db.prepare("DELETE FROM outgoing_messages WHERE id = ?").run(id);
+}
+
+export function listOutgoingMessages(status = "pending") {
+  return db.prepare("SELECT * FROM outgoing_messages WHERE status = ? ORDER BY id").all(status).map(fromRow);
+}
+
+// Dropped messages are kept for /sendfailures until they age out or are cleared
+export function deleteFailedMessages(before = Date.now()) {
+  return db.prepare("DELETE FROM outgoing_messages WHERE status = 'failed' AND created_at < ?").run(before).changes;
+}
+
+// === MODERATION ===
+export function banUser(userId, bannedBy, reason = null) {
+  db.prepare("INSERT OR REPLACE INTO bans (user_id, banned_by, reason, created_at) VALUES (?, ?, ?, ?)")
+    .run(String(userId), String(bannedBy), reason, Date.now());
+}
+
+export function unbanUser(userId) {
+  return db.prepare("DELETE FROM bans WHERE user_id = ?").run(String(userId)).changes === 1;
+}
+
+export function isBanned(userId) {
+  return Boolean(db.prepare("SELECT 1 FROM bans WHERE user_id = ?").get(String(userId)));
+}
+
+// === USERS ===
+// `language` is picked with /language; `language_code` is the last one
+// Telegram reported for the user, used until they pick one. `name` is the
+// user's last seen @username or first name, shown on leaderboards.
+export function getUser(userId) {
+  return fromRow(db.prepare("SELECT * FROM users WHERE user_id = ?").get(String(userId)));
+}
+
+export function rememberUser(userId, { name = null, languageCode = null }) {
+  db.prepare(`
+    INSERT INTO users (user_id, name, language_code, updated_at) VALUES (@userId, @name, @languageCode, @now)
+    ON CONFLICT (user_id) DO UPDATE SET
+      name = COALESCE(excluded.name, users.name),
+      language_code = COALESCE(excluded.language_code, users.language_code),
+      updated_at = excluded.updated_at
+    WHERE users.name IS NOT COALESCE(excluded.name, users.name)
+      OR users.language_code IS NOT COALESCE(excluded.language_code, users.language_code)
+  `).run({ userId: String(userId), name, languageCode, now: Date.now() });
+}
+
+export function setUserLanguage(userId, language) {
+  db.prepare(`
+    INSERT INTO users (user_id, language, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT (user_id) DO UPDATE SET language = excluded.language, updated_at = excluded.updated_at
+  `).run(String(userId), language, Date.now());
+}
+
+// === PLAYER STATS ===
+// Lifetime totals per player, updated as payments settle and rounds pay out.
+// `prizes` holds { roundId, place, amount }, `tiers` the tier of each payment
+// whenever it changed ({ tier, badge, roundId }) and `wallets` every address paid from.
+export function getPlayerStats(userId) {
+  return fromRow(db.prepare("SELECT * FROM player_stats WHERE user_id = ?").get(String(userId)));
+}
+
+function updatePlayerStats(userId, update) {
+  const existing = getPlayerStats(userId);
+  const stats = existing || {
+    userId: String(userId),
+    storyRounds: 0,
+    voteRounds: 0,
+    solPaid: 0,
+    sunoReceived: 0,
+    prizes: [],
+    prizeSuno: 0,
+    voterRewards: 0,
+    voterRewardSuno: 0,
+    tiers: [],
+    wallets: []
+  };
+  update(stats);
+  stats.updatedAt = Date.now();
+  if (existing) updateRow("player_stats", "user_id", stats.userId, stats);
+  else insertRow("player_stats", stats);
+}
+
+// A player paying twice in one round still counts that round once per role
+export function recordPlayerPayment(userId, { roundId, choice, amount, sunoReceived, tier, tierBadge, wallet }) {
+  updatePlayerStats(userId, (stats) => {
+    if (choice === "story" && stats.lastStoryRound !== roundId) {
+      stats.storyRounds++;
+      stats.lastStoryRound = roundId;
+    }
+    if (choice === "vote" && stats.lastVoteRound !== roundId) {
+      stats.voteRounds++;
+      stats.lastVoteRound = roundId;
+    }
+    stats.solPaid += amount;
+    stats.sunoReceived += sunoReceived;
+    if (stats.tiers.at(-1)?.tier !== tier) stats.tiers.push({ tier, badge: tierBadge, roundId });
+    if (wallet && !stats.wallets.includes(wallet)) stats.wallets.push(wallet);
+  });
+}
+
+// A rejected story no longer counts as a round competing (a payer kept as a voter
+// counts as voting instead). SOL paid and SUNO received stay: the rejection
+// refund only returns the pool shares, not the SOL or the SUNO sent to the payer.
+export function recordStoryRejection(userId, { roundId, asVoter }) {
+  updatePlayerStats(userId, (stats) => {
+    if (stats.lastStoryRound === roundId) {
+      stats.storyRounds--;
+      stats.lastStoryRound = null;
+    }
+    if (asVoter && stats.lastVoteRound !== roundId) {
+      stats.voteRounds++;
+      stats.lastVoteRound = roundId;
+    }
+  });
+}
+
+export function recordPlayerPrize(userId, { roundId, place, amount }) {
+  updatePlayerStats(userId, (stats) => {
+    stats.prizes.push({ roundId, place, amount });
+    stats.prizeSuno += amount;
+  });
+}
+
+export function recordPlayerVoterReward(userId, amount) {
+  updatePlayerStats(userId, (stats) => {
+    stats.voterRewards++;
+    stats.voterRewardSuno += amount;
+  });
+}
+
+// === REFERRALS ===
+// `referred_by` comes from the first /start ref_ link a user opens before
+// paying; `referred_at` is set on their first paid entry, which makes it final.
+export function setReferrer(userId, referrerId) {
+  return db.prepare(`
+    INSERT INTO users (user_id, referred_by, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT (user_id) DO UPDATE SET referred_by = excluded.referred_by, updated_at = excluded.updated_at
+    WHERE users.referred_by IS NULL
+  `).run(String(userId), String(referrerId), Date.now()).changes === 1;
+}
+
+export function confirmReferral(userId) {
+  db.prepare("UPDATE users SET referred_at = ? WHERE user_id = ? AND referred_by IS NOT NULL AND referred_at IS NULL")
+    .run(Date.now(), String(userId));
+}
+
+export function hasPaidEntry(userId) {
+  return Boolean(db.prepare("SELECT 1 FROM payments WHERE user_id = ? AND paid = 1").get(String(userId)));
+}
+
+export function insertReferralReward(reward) {
+  return insertRow("referral_rewards", reward);
+}
+
+// Players brought in (joined = paid at least once) and rewards per asset;
+// `paidAmount` counts only rewards whose payout has confirmed
+export function getReferralSummary(referrerId) {
+  const key = String(referrerId);
+  const { joined, pending } = db.prepare(`
+    SELECT COUNT(referred_at) AS joined, COUNT(*) - COUNT(referred_at) AS pending
+    FROM users WHERE referred_by = ?
+  `).get(key);
+  const earnings = db.prepare(`
+    SELECT r.asset, COUNT(*) AS rewards, SUM(r.amount) AS amount,
+      SUM(CASE WHEN p.status = 'confirmed' THEN r.amount ELSE 0 END) AS paid_amount
+    FROM referral_rewards r
+    LEFT JOIN payouts p ON p.id = r.payout_id
+    WHERE r.referrer_id = ?
+    GROUP BY r.asset
+    ORDER BY r.asset
+  `).all(key).map(fromRow);
+  return { joined, pending, earnings };
+}
+
+// === LEADERBOARDS ===
+// Each ranking covers rounds that ended at or after @since (payments made since
+// then, for contributors). `value` is what the board is sorted by.
+const LEADERBOARD_QUERIES = {
+  // Storytellers by SUNO won
+  suno: `
+    SELECT e.user_id, COALESCE(u.name, MAX(e.user)) AS name, SUM(e.prize) AS value, COUNT(*) AS prizes
+    FROM entries e
+    JOIN rounds r ON r.id = e.round_id
+    LEFT JOIN users u ON u.user_id = e.user_id
+    WHERE e.place IS NOT NULL AND e.prize > 0 AND r.ended_at >= @since
+    GROUP BY e.user_id
+    ORDER BY value DESC, prizes DESC
+    LIMIT @limit`,
+  // First places (a shared first place counts for each story)
+  wins: `
+    SELECT e.user_id, COALESCE(u.name, MAX(e.user)) AS name, COUNT(*) AS value, SUM(COALESCE(e.prize, 0)) AS prize
+    FROM entries e
+    JOIN rounds r ON r.id = e.round_id
+    LEFT JOIN users u ON u.user_id = e.user_id
+    WHERE e.place = 1 AND r.ended_at >= @since
+    GROUP BY e.user_id
+    ORDER BY value DESC, prize DESC
+    LIMIT @limit`,
+  // Share of a voter's votes that went to a first-place story
+  voters: `
+    SELECT v.voter_id AS user_id, u.name, COUNT(*) AS votes,
+      SUM(CASE WHEN w.place = 1 THEN 1 ELSE 0 END) AS correct,
+      1.0 * SUM(CASE WHEN w.place = 1 THEN 1 ELSE 0 END) / COUNT(*) AS value
+    FROM votes v
+    JOIN rounds r ON r.id = v.round_id
+    LEFT JOIN entries w ON w.round_id = v.round_id AND w.user_id = v.entry_user_id AND w.choice = 'story'
+    LEFT JOIN users u ON u.user_id = v.voter_id
+    WHERE r.ended_at >= @since
+    GROUP BY v.voter_id
+    HAVING votes >= @minVotes
+    ORDER BY value DESC, correct DESC
+    LIMIT @limit`,
+  // SUNO added to the round prize pools by settled payments
+  contributors: `
+    SELECT p.user_id, u.name, SUM(p.suno_round_pool) AS value, COUNT(*) AS payments
+    FROM payments p
+    LEFT JOIN users u ON u.user_id = p.user_id
+    WHERE p.status = 'paid' AND p.suno_round_pool > 0 AND p.created_at >= @since
+    GROUP BY p.user_id
+    ORDER BY value DESC
+    LIMIT @limit`
+};
+
+export const LEADERBOARD_CATEGORIES = Object.keys(LEADERBOARD_QUERIES);
+
+export function getLeaderboard(category, { since = 0, limit = 10, minVotes = 1 } = {}) {
+  return db.prepare(LEADERBOARD_QUERIES[category])
+    .all({ since, limit, minVotes })
+    .map(fromRow);
+}
+
+export function logAdminAction(adminId, action, details = null) {
+  db.prepare("INSERT INTO admin_actions (admin_id, action, details, created_at) VALUES (?, ?, ?, ?)")
+    .run(String(adminId), action, details, Date.now());
+}
+
+// === ONE-TIME MIGRATION FROM JSON FILES ===
+// Imports submissions.json (and payouts.json) written by earlier versions.
+export function migrateLegacyFiles({ stateFile, ledgerFile }) {
+  if (getMeta("legacyMigrated")) return;
+
+  withTransaction(() => {
+    if (fs.existsSync(stateFile)) {
+      const d = JSON.parse(fs.readFileSync(stateFile));
+      const startedAt = d.cycleStartTime || Date.now();
+      const roundId = createRound({ startedAt, prizePool: d.treasurySUNO || 0 });
+
+      for (const p of d.pendingPayments || []) {
+        if (!p.reference || getPayment(p.reference)) continue;
+        insertPayment({
+          reference: p.reference,
+          roundId,
+          userId: String(p.userId),
+          choice: p.choice || "vote",
+          user: p.user,
+          story: p.story,
+          signature: p.signature,
+          confirmed: p.confirmed,
+          paid: p.paid,
+          refundPayoutId: p.refund?.payoutId,
+          refundAsset: p.refund?.asset,
+          refundAmount: p.refund?.amount,
+          refundReason: p.refund?.reason,
+          createdAt: p.createdAt || startedAt
+        });
+      }
+
+      for (const e of [...(d.participants || []), ...(d.voters || [])]) {
+        insertEntry({ ...e, roundId, userId: String(e.userId), timestamp: e.timestamp || startedAt });
+        for (const voterId of e.voters || []) {
+          db.prepare("INSERT OR IGNORE INTO votes (round_id, voter_id, entry_user_id, created_at) VALUES (?, ?, ?, ?)")
+            .run(roundId, String(voterId), String(e.userId), startedAt);
+        }
+      }
+
+      for (const signature of d.processedSignatures || []) {
+        db.prepare("INSERT OR IGNORE INTO used_signatures (signature, reference, created_at) VALUES (?, NULL, ?)")
+          .run(signature, startedAt);
+      }
+
+      setMeta({
+        phase: d.phase || "submission",
+        cycleStartTime: d.cycleStartTime || null,
+        nextPhaseTime: d.nextPhaseTime || null,
+        treasurySUNO: d.treasurySUNO || 0,
+        actualTreasuryBalance: d.actualTreasuryBalance || 0,
+        transFeeCollected: d.transFeeCollected || 0,
+        currentRoundId: roundId
+      });
+      console.log(`📦 Migrated ${stateFile} into round #${roundId}`);
+    }
+
+    if (fs.existsSync(ledgerFile)) {
+      const ledger = JSON.parse(fs.readFileSync(ledgerFile));
+      for (const p of ledger) insertPayout(p);
+      console.log(`📦 Migrated ${ledger.length} payouts from ${ledgerFile}`);
+    }
+
+    setMeta({ legacyMigrated: Date.now() });
+  });
+}